@@ -0,0 +1,169 @@
+import * as THREE from "three";
+import { createBeamsEffects, type BeamsEffectsPipeline } from "./effects";
+import { MAX_FRAME_DELTA, createBeamsScene, type BeamsScene } from "./scene";
+import type { BeamsWorkerRequest, BeamsWorkerResponse } from "./offscreen";
+
+let renderer: THREE.WebGLRenderer | null = null;
+let beams: BeamsScene | null = null;
+let effects: BeamsEffectsPipeline | null = null;
+let canvas: OffscreenCanvas | null = null;
+let animationId: number | null = null;
+let lastFrameTime: number | null = null;
+let isRunning = false;
+let isContextLost = false;
+let isReady = false;
+
+// 部分浏览器的 Worker 中没有 requestAnimationFrame，退化为定时器
+const requestFrame: (callback: FrameRequestCallback) => number =
+  typeof requestAnimationFrame === "function"
+    ? requestAnimationFrame
+    : (callback) =>
+        setTimeout(() => callback(performance.now()), 1000 / 60) as number;
+const cancelFrame: (id: number) => void =
+  typeof cancelAnimationFrame === "function"
+    ? cancelAnimationFrame
+    : clearTimeout;
+
+const post = (message: BeamsWorkerResponse) => self.postMessage(message);
+
+const render = () => {
+  if (!effects || !beams || isContextLost) return;
+  effects.render(beams.getTime());
+  if (!isReady) {
+    isReady = true;
+    post({ type: "ready" });
+  }
+};
+
+const animate = (now: number) => {
+  animationId = requestFrame(animate);
+
+  const delta =
+    lastFrameTime === null
+      ? 0
+      : Math.min((now - lastFrameTime) / 1000, MAX_FRAME_DELTA);
+  lastFrameTime = now;
+
+  beams?.tick(delta);
+  render();
+};
+
+const updateLoop = () => {
+  const shouldRun = isRunning && !isContextLost;
+  if (shouldRun && animationId === null) {
+    animationId = requestFrame(animate);
+  } else if (!shouldRun && animationId !== null) {
+    cancelFrame(animationId);
+    animationId = null;
+    lastFrameTime = null;
+  }
+};
+
+const requestRender = () => {
+  if (animationId === null) render();
+};
+
+const onContextLost = (event: Event) => {
+  event.preventDefault();
+  isContextLost = true;
+  updateLoop();
+  post({ type: "contextLost" });
+};
+
+const onContextRestored = () => {
+  isContextLost = false;
+  beams?.restore();
+  updateLoop();
+  requestRender();
+  post({ type: "contextRestored" });
+};
+
+const snapshot = async (mimeType: string, quality?: number) => {
+  if (!canvas || !renderer || isContextLost) {
+    throw new Error("Beams renderer is not available");
+  }
+  render();
+  return canvas.convertToBlob({ type: mimeType, quality });
+};
+
+self.addEventListener(
+  "message",
+  (event: MessageEvent<BeamsWorkerRequest>) => {
+    const message = event.data;
+    switch (message.type) {
+      case "init":
+        canvas = message.canvas;
+        try {
+          renderer = new THREE.WebGLRenderer({
+            canvas,
+            antialias: message.antialias,
+            alpha: message.options.transparent,
+          });
+        } catch (error) {
+          post({
+            type: "error",
+            message:
+              error instanceof Error ? error.message : "WebGL is not available",
+            fatal: true,
+          });
+          return;
+        }
+        canvas.addEventListener("webglcontextlost", onContextLost);
+        canvas.addEventListener("webglcontextrestored", onContextRestored);
+        beams = createBeamsScene(
+          message.options,
+          message.time,
+          requestRender
+        );
+        effects = createBeamsEffects(renderer, beams.scene, beams.camera);
+        effects.update(message.effects);
+        renderer.setPixelRatio(message.pixelRatio);
+        renderer.setSize(message.width, message.height, false);
+        beams.setSize(message.width, message.height);
+        effects.setSize(message.width, message.height, message.pixelRatio);
+        requestRender();
+        break;
+      case "update":
+        beams?.update(message.options);
+        requestRender();
+        break;
+      case "effects":
+        effects?.update(message.effects);
+        requestRender();
+        break;
+      case "resize":
+        if (!renderer || !beams) break;
+        renderer.setPixelRatio(message.pixelRatio);
+        renderer.setSize(message.width, message.height, false);
+        beams.setSize(message.width, message.height);
+        effects?.setSize(message.width, message.height, message.pixelRatio);
+        requestRender();
+        break;
+      case "run":
+        isRunning = message.running;
+        updateLoop();
+        if (!isRunning && beams) post({ type: "time", time: beams.getTime() });
+        break;
+      case "render":
+        requestRender();
+        break;
+      case "seek":
+        beams?.seek(message.time);
+        requestRender();
+        break;
+      case "pointer":
+        beams?.setPointer(message.x, message.y);
+        break;
+      case "pointerRelease":
+        beams?.releasePointer();
+        break;
+      case "snapshot":
+        snapshot(message.mimeType, message.quality).then(
+          (blob) => post({ type: "snapshot", id: message.id, blob }),
+          (error: Error) =>
+            post({ type: "snapshot", id: message.id, message: error.message })
+        );
+        break;
+    }
+  }
+);
@@ -0,0 +1,225 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  parseColor,
+  resolveColor,
+  resolveCssVariables,
+  type RGBA,
+} from "./color";
+
+// 警告按内容去重且在模块内全局生效，各用例使用互不相同的输入
+const spyWarn = () => vi.spyOn(console, "warn").mockImplementation(() => {});
+
+// 用一个普通对象模拟元素，getComputedStyle 从 properties 中读取自定义属性
+const mockElement = (properties: Record<string, string>) => {
+  vi.stubGlobal("getComputedStyle", () => ({
+    getPropertyValue: (name: string) => properties[name] ?? "",
+  }));
+  return {} as Element;
+};
+
+// HSL 换算有浮点误差，逐通道近似比较
+const expectColor = (actual: RGBA | null, expected: RGBA) => {
+  expect(actual).not.toBeNull();
+  for (const key of ["r", "g", "b", "a"] as const) {
+    expect(actual![key], key).toBeCloseTo(expected[key]);
+  }
+};
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe("parseColor", () => {
+  it("parses short and long hex with optional alpha", () => {
+    expect(parseColor("#f00")).toEqual({ r: 1, g: 0, b: 0, a: 1 });
+    expect(parseColor("#0f08")).toEqual({ r: 0, g: 1, b: 0, a: 0x88 / 255 });
+    expect(parseColor("#0000ff")).toEqual({ r: 0, g: 0, b: 1, a: 1 });
+    expect(parseColor("#FFFFFF80")).toEqual({ r: 1, g: 1, b: 1, a: 128 / 255 });
+  });
+
+  it("parses rgb / rgba with commas, spaces and a slash alpha", () => {
+    expect(parseColor("rgb(255, 0, 0)")).toEqual({ r: 1, g: 0, b: 0, a: 1 });
+    expect(parseColor("rgba(0, 255, 0, 0.5)")).toEqual({
+      r: 0,
+      g: 1,
+      b: 0,
+      a: 0.5,
+    });
+    expect(parseColor("rgb(0 0 255 / 25%)")).toEqual({
+      r: 0,
+      g: 0,
+      b: 1,
+      a: 0.25,
+    });
+    expect(parseColor("rgb(100% 50% 0%)")).toEqual({
+      r: 1,
+      g: 0.5,
+      b: 0,
+      a: 1,
+    });
+  });
+
+  it("clamps out-of-range channels", () => {
+    expect(parseColor("rgb(300, -20, 0, 2)")).toEqual({
+      r: 1,
+      g: 0,
+      b: 0,
+      a: 1,
+    });
+  });
+
+  it("parses hsl with every hue unit", () => {
+    const red = { r: 1, g: 0, b: 0, a: 1 };
+    const cyan = { r: 0, g: 1, b: 1, a: 1 };
+    expectColor(parseColor("hsl(0, 100%, 50%)"), red);
+    expectColor(parseColor("hsl(180deg 100% 50%)"), cyan);
+    expectColor(parseColor("hsl(200grad 100% 50%)"), cyan);
+    expectColor(parseColor(`hsl(${Math.PI}rad 100% 50%)`), cyan);
+    expectColor(parseColor("hsl(0.5turn 100% 50%)"), cyan);
+    expectColor(parseColor("hsla(-360, 100%, 50%, 0.5)"), { ...red, a: 0.5 });
+  });
+
+  it("returns gray for zero saturation", () => {
+    expectColor(parseColor("hsl(120 0% 25%)"), {
+      r: 0.25,
+      g: 0.25,
+      b: 0.25,
+      a: 1,
+    });
+  });
+
+  it("parses named colors and transparent case-insensitively", () => {
+    expect(parseColor("Red")).toEqual({ r: 1, g: 0, b: 0, a: 1 });
+    expect(parseColor(" rebeccapurple ")).toEqual({
+      r: 0x66 / 255,
+      g: 0x33 / 255,
+      b: 0x99 / 255,
+      a: 1,
+    });
+    expect(parseColor("transparent")).toEqual({ r: 0, g: 0, b: 0, a: 0 });
+  });
+
+  it("rejects malformed input", () => {
+    for (const value of [
+      "",
+      "#12",
+      "#12345",
+      "#ggg",
+      "rgb(1, 2)",
+      "rgb(1, 2, 3, 4, 5)",
+      "rgb(a, b, c)",
+      "hsl(10foo 50% 50%)",
+      "notacolor",
+      "var(--accent)",
+    ]) {
+      expect(parseColor(value), value).toBeNull();
+    }
+  });
+});
+
+describe("resolveColor", () => {
+  it("returns the parsed color without warning", () => {
+    const warn = spyWarn();
+    expect(resolveColor("#00f", "#fff")).toEqual({ r: 0, g: 0, b: 1, a: 1 });
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it("falls back and warns once per invalid value", () => {
+    const warn = spyWarn();
+    const white = { r: 1, g: 1, b: 1, a: 1 };
+
+    expect(resolveColor("not-a-color-1", "#fff")).toEqual(white);
+    expect(resolveColor("not-a-color-1", "#fff")).toEqual(white);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toContain('"not-a-color-1"');
+
+    resolveColor("not-a-color-2", "#fff");
+    expect(warn).toHaveBeenCalledTimes(2);
+  });
+
+  it("uses opaque black when the fallback is invalid too", () => {
+    spyWarn();
+    expect(resolveColor("not-a-color-3", "nope")).toEqual({
+      r: 0,
+      g: 0,
+      b: 0,
+      a: 1,
+    });
+  });
+});
+
+describe("resolveCssVariables", () => {
+  it("leaves values without var() untouched", () => {
+    expect(resolveCssVariables("#123456", null)).toBe("#123456");
+  });
+
+  it("expands variables from the element's computed style", () => {
+    const element = mockElement({ "--accent": " #ff0000 " });
+    expect(resolveCssVariables("var(--accent)", element)).toBe("#ff0000");
+    expect(resolveCssVariables("rgb(var(--accent))", element)).toBe(
+      "rgb(#ff0000)"
+    );
+  });
+
+  it("expands nested variables", () => {
+    const element = mockElement({
+      "--brand": "var(--brand-base)",
+      "--brand-base": "rgb(1, 2, 3)",
+    });
+    expect(resolveCssVariables("var(--brand)", element)).toBe("rgb(1, 2, 3)");
+  });
+
+  it("uses the fallback value, including nested var() and functions", () => {
+    const element = mockElement({ "--secondary": "blue" });
+    expect(resolveCssVariables("var(--missing-1, red)", element)).toBe("red");
+    expect(
+      resolveCssVariables("var(--missing-2, var(--secondary))", element)
+    ).toBe("blue");
+    expect(
+      resolveCssVariables("var(--missing-3, rgb(0, 0, 0))", element)
+    ).toBe("rgb(0, 0, 0)");
+    expect(resolveCssVariables("var(--no-element, red)", null)).toBe("red");
+  });
+
+  it("leaves variables unresolved and silent without an element", () => {
+    const warn = spyWarn();
+    const getComputedStyle = vi.fn();
+    vi.stubGlobal("getComputedStyle", getComputedStyle);
+
+    expect(resolveCssVariables("var(--before-mount)", null)).toBe(
+      "var(--before-mount)"
+    );
+    expect(resolveCssVariables("rgb(var(--before-mount))", null)).toBe(
+      "rgb(var(--before-mount))"
+    );
+    expect(warn).not.toHaveBeenCalled();
+    expect(getComputedStyle).not.toHaveBeenCalled();
+
+    // 挂载后同名变量确实未定义时仍然会警告
+    mockElement({});
+    resolveCssVariables("var(--before-mount)", {} as Element);
+    expect(warn).toHaveBeenCalledTimes(1);
+  });
+
+  it("warns once and returns the input for undefined properties", () => {
+    const warn = spyWarn();
+    const element = mockElement({});
+
+    expect(resolveCssVariables("var(--undefined-1)", element)).toBe(
+      "var(--undefined-1)"
+    );
+    resolveCssVariables("var(--undefined-1)", element);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toContain("--undefined-1");
+  });
+
+  it("stops at the depth limit for self-referencing variables", () => {
+    const warn = spyWarn();
+    const element = mockElement({ "--loop": "var(--loop)" });
+
+    expect(resolveCssVariables("var(--loop)", element)).toBe("var(--loop)");
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toContain("nested too deeply");
+  });
+});
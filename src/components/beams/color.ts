@@ -0,0 +1,182 @@
+import * as THREE from "three";
+
+// 归一化到 0~1 的 sRGB 颜色与不透明度
+export interface RGBA {
+  r: number;
+  g: number;
+  b: number;
+  a: number;
+}
+
+const HEX_PATTERN = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/;
+const FUNCTION_PATTERN = /^(rgba?|hsla?)\(\s*(.*?)\s*\)$/;
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/;
+const VAR_PATTERN = /var\(\s*(--[\w-]+)\s*(?:,\s*((?:[^()]|\([^()]*\))*))?\)/;
+const MAX_VAR_DEPTH = 8;
+
+const HUE_UNITS: Record<string, number> = {
+  deg: 1,
+  grad: 0.9,
+  rad: 180 / Math.PI,
+  turn: 360,
+};
+
+const warned = new Set<string>();
+
+// 同一条警告只输出一次，避免每次属性更新都刷屏
+const warnOnce = (message: string) => {
+  if (warned.has(message)) return;
+  warned.add(message);
+  console.warn(`[Beams] ${message}`);
+};
+
+const clamp01 = (value: number) => Math.min(Math.max(value, 0), 1);
+
+const parseNumber = (token: string) =>
+  NUMBER_PATTERN.test(token) ? parseFloat(token) : null;
+
+// 百分比按 0~100% 映射，纯数字按 0~scale 映射
+const parseChannel = (token: string, scale: number) => {
+  if (token.endsWith("%")) {
+    const value = parseNumber(token.slice(0, -1));
+    return value === null ? null : clamp01(value / 100);
+  }
+  const value = parseNumber(token);
+  return value === null ? null : clamp01(value / scale);
+};
+
+const parseHue = (token: string) => {
+  const [, number, unit = "deg"] = token.match(/^(.*?)(deg|grad|rad|turn)?$/)!;
+  const value = parseNumber(number);
+  if (value === null) return null;
+  const degrees = value * HUE_UNITS[unit];
+  return (((degrees % 360) + 360) % 360) / 360;
+};
+
+const hueToRGB = (p: number, q: number, t: number) => {
+  if (t < 0) t += 1;
+  if (t > 1) t -= 1;
+  if (t < 1 / 6) return p + (q - p) * 6 * t;
+  if (t < 1 / 2) return q;
+  if (t < 2 / 3) return p + (q - p) * 6 * (2 / 3 - t);
+  return p;
+};
+
+const parseHex = (hex: string): RGBA => {
+  const digits =
+    hex.length <= 4
+      ? [...hex].map((digit) => digit + digit)
+      : hex.match(/../g)!;
+  const [r, g, b, a = 255] = digits.map((pair) => parseInt(pair, 16));
+  return { r: r / 255, g: g / 255, b: b / 255, a: a / 255 };
+};
+
+// 同时支持逗号分隔与 CSS Color 4 的空格 + 斜杠写法
+const splitArguments = (body: string) => {
+  if (body.includes(",")) return body.split(",").map((part) => part.trim());
+
+  const [channels, alpha] = body.split("/").map((part) => part.trim());
+  const parts = channels.split(/\s+/);
+  return alpha === undefined ? parts : [...parts, alpha];
+};
+
+const parseFunction = (name: string, body: string): RGBA | null => {
+  const args = splitArguments(body);
+  if (args.length !== 3 && args.length !== 4) return null;
+
+  const a = args.length === 4 ? parseChannel(args[3], 1) : 1;
+  if (a === null) return null;
+
+  if (name.startsWith("rgb")) {
+    const [r, g, b] = args.slice(0, 3).map((arg) => parseChannel(arg, 255));
+    if (r === null || g === null || b === null) return null;
+    return { r, g, b, a };
+  }
+
+  const h = parseHue(args[0]);
+  const s = parseChannel(args[1], 100);
+  const l = parseChannel(args[2], 100);
+  if (h === null || s === null || l === null) return null;
+
+  if (s === 0) return { r: l, g: l, b: l, a };
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  return {
+    r: hueToRGB(p, q, h + 1 / 3),
+    g: hueToRGB(p, q, h),
+    b: hueToRGB(p, q, h - 1 / 3),
+    a,
+  };
+};
+
+// 解析 CSS 颜色字符串，无法识别时返回 null；CSS 变量需先经 resolveCssVariables 展开
+export function parseColor(value: string): RGBA | null {
+  const input = value.trim().toLowerCase();
+
+  if (input === "transparent") return { r: 0, g: 0, b: 0, a: 0 };
+
+  const hex = input.match(HEX_PATTERN);
+  if (hex) return parseHex(hex[1]);
+
+  const fn = input.match(FUNCTION_PATTERN);
+  if (fn) return parseFunction(fn[1], fn[2]);
+
+  const named = (THREE.Color.NAMES as Record<string, number>)[input];
+  if (named !== undefined) {
+    return {
+      r: ((named >> 16) & 255) / 255,
+      g: ((named >> 8) & 255) / 255,
+      b: (named & 255) / 255,
+      a: 1,
+    };
+  }
+
+  return null;
+}
+
+// 解析失败时输出警告并使用 fallback
+export function resolveColor(value: string, fallback: string): RGBA {
+  const color = parseColor(value);
+  if (color) return color;
+
+  warnOnce(`Invalid color "${value}", falling back to "${fallback}"`);
+  return parseColor(fallback) ?? { r: 0, g: 0, b: 0, a: 1 };
+}
+
+// 按 sRGB 解析后转入 three.js 的线性工作空间，忽略 alpha
+export function toColor(
+  value: string,
+  fallback: string,
+  target = new THREE.Color()
+): THREE.Color {
+  const { r, g, b } = resolveColor(value, fallback);
+  return target.setRGB(r, g, b, THREE.SRGBColorSpace);
+}
+
+// 用元素上的计算样式展开 var(--name, fallback)，Worker 中没有 DOM，需在主线程调用；
+// element 为 null 时只展开带默认值的变量
+export function resolveCssVariables(
+  value: string,
+  element: Element | null
+): string {
+  let result = value;
+  for (let depth = 0; depth < MAX_VAR_DEPTH; depth++) {
+    const match = result.match(VAR_PATTERN);
+    if (!match) return result;
+
+    const [token, name, fallback] = match;
+    const resolved = element
+      ? getComputedStyle(element).getPropertyValue(name).trim()
+      : "";
+    const replacement = resolved || fallback?.trim();
+    if (!replacement) {
+      // 没有元素（如组件挂载前）时无法判断变量是否定义，原样返回且不警告
+      if (element) warnOnce(`CSS custom property ${name} is not defined`);
+      return result;
+    }
+    result = result.replace(token, replacement);
+  }
+
+  warnOnce(`CSS custom properties in "${value}" are nested too deeply`);
+  return result;
+}
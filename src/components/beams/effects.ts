@@ -0,0 +1,254 @@
+import * as THREE from "three";
+import { EffectComposer } from "three/examples/jsm/postprocessing/EffectComposer.js";
+import { OutputPass } from "three/examples/jsm/postprocessing/OutputPass.js";
+import { RenderPass } from "three/examples/jsm/postprocessing/RenderPass.js";
+import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass.js";
+import { UnrealBloomPass } from "three/examples/jsm/postprocessing/UnrealBloomPass.js";
+
+export interface BloomEffect {
+  strength?: number; // 泛光强度
+  radius?: number; // 泛光扩散半径（0~1）
+  threshold?: number; // 亮度阈值，高于该值的像素才会发光
+}
+
+export interface GrainEffect {
+  intensity?: number; // 颗粒强度
+  fps?: number; // 颗粒每秒刷新次数，随动画时钟变化
+}
+
+export interface VignetteEffect {
+  offset?: number; // 暗角范围，越大暗角越靠近中心
+  darkness?: number; // 暗角深度（0~1）
+}
+
+export interface ChromaticAberrationEffect {
+  offset?: number; // 画面边缘的色散偏移（占画面比例）
+}
+
+// 每项可传 true 使用默认参数，或传对象调整参数；未设置或 false 表示关闭
+export interface BeamsEffects {
+  bloom?: boolean | BloomEffect;
+  grain?: boolean | GrainEffect;
+  vignette?: boolean | VignetteEffect;
+  chromaticAberration?: boolean | ChromaticAberrationEffect;
+}
+
+export type BeamsEffectsPipeline = ReturnType<typeof createBeamsEffects>;
+
+const BLOOM_DEFAULTS: Required<BloomEffect> = {
+  strength: 0.8,
+  radius: 0.4,
+  threshold: 0.1,
+};
+
+const GRAIN_DEFAULTS: Required<GrainEffect> = {
+  intensity: 0.08,
+  fps: 24,
+};
+
+const VIGNETTE_DEFAULTS: Required<VignetteEffect> = {
+  offset: 1,
+  darkness: 1,
+};
+
+const CHROMATIC_ABERRATION_DEFAULTS: Required<ChromaticAberrationEffect> = {
+  offset: 0.004,
+};
+
+const resolveEffect = <T extends object>(
+  value: boolean | T | undefined,
+  defaults: Required<T>
+): Required<T> | null => {
+  if (!value) return null;
+  return value === true ? { ...defaults } : { ...defaults, ...value };
+};
+
+// 颗粒、暗角与色散合并在一个全屏 pass 中，只编译开启的部分
+const finishShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    uTime: { value: 0 },
+    uResolution: { value: new THREE.Vector2(1, 1) },
+    uGrainIntensity: { value: GRAIN_DEFAULTS.intensity },
+    uGrainFps: { value: GRAIN_DEFAULTS.fps },
+    uVignetteOffset: { value: VIGNETTE_DEFAULTS.offset },
+    uVignetteDarkness: { value: VIGNETTE_DEFAULTS.darkness },
+    uAberrationOffset: { value: CHROMATIC_ABERRATION_DEFAULTS.offset },
+  },
+  vertexShader: `
+    varying vec2 vUv;
+
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    uniform float uTime;
+    uniform vec2 uResolution;
+    uniform float uGrainIntensity;
+    uniform float uGrainFps;
+    uniform float uVignetteOffset;
+    uniform float uVignetteDarkness;
+    uniform float uAberrationOffset;
+    varying vec2 vUv;
+
+    float hash(vec2 p) {
+      return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+
+    void main() {
+      vec4 color = texture2D(tDiffuse, vUv);
+
+      #ifdef USE_CHROMATIC_ABERRATION
+        vec2 shift = (vUv - 0.5) * uAberrationOffset;
+        color.r = texture2D(tDiffuse, vUv + shift).r;
+        color.b = texture2D(tDiffuse, vUv - shift).b;
+      #endif
+
+      #ifdef USE_VIGNETTE
+        vec2 uv = (vUv - 0.5) * uVignetteOffset;
+        color.rgb = mix(color.rgb, vec3(1.0 - uVignetteDarkness), dot(uv, uv));
+      #endif
+
+      #ifdef USE_GRAIN
+        float frame = floor(uTime * uGrainFps);
+        vec2 pixel = floor(vUv * uResolution);
+        float grain = hash(pixel + fract(frame * 0.618) * 100.0);
+        color.rgb += (grain - 0.5) * uGrainIntensity;
+      #endif
+
+      gl_FragColor = color;
+    }
+  `,
+};
+
+// 后期处理链：所有效果关闭时不创建 EffectComposer，直接渲染场景
+export function createBeamsEffects(
+  renderer: THREE.WebGLRenderer,
+  scene: THREE.Scene,
+  camera: THREE.Camera
+) {
+  let composer: EffectComposer | null = null;
+  let renderPass: RenderPass | null = null;
+  let outputPass: OutputPass | null = null;
+  let bloomPass: UnrealBloomPass | null = null;
+  let finishPass: ShaderPass | null = null;
+  const size = new THREE.Vector2(1, 1);
+  let pixelRatio = 1;
+
+  const createComposer = () => {
+    const next = new EffectComposer(renderer);
+    next.setPixelRatio(pixelRatio);
+    next.setSize(size.x, size.y);
+    renderPass = new RenderPass(scene, camera);
+    outputPass = new OutputPass();
+    return next;
+  };
+
+  const disposeComposer = () => {
+    bloomPass?.dispose();
+    bloomPass = null;
+    finishPass?.dispose();
+    finishPass = null;
+    renderPass?.dispose();
+    renderPass = null;
+    outputPass?.dispose();
+    outputPass = null;
+    composer?.dispose();
+    composer = null;
+  };
+
+  const update = (effects: BeamsEffects) => {
+    const bloom = resolveEffect(effects.bloom, BLOOM_DEFAULTS);
+    const vignette = resolveEffect(effects.vignette, VIGNETTE_DEFAULTS);
+    const aberration = resolveEffect(
+      effects.chromaticAberration,
+      CHROMATIC_ABERRATION_DEFAULTS
+    );
+    const grain = resolveEffect(effects.grain, GRAIN_DEFAULTS);
+
+    if (!bloom && !grain && !vignette && !aberration) {
+      disposeComposer();
+      return;
+    }
+    if (!composer) composer = createComposer();
+
+    if (bloom && !bloomPass) {
+      bloomPass = new UnrealBloomPass(
+        size.clone().multiplyScalar(pixelRatio),
+        bloom.strength,
+        bloom.radius,
+        bloom.threshold
+      );
+    } else if (!bloom && bloomPass) {
+      bloomPass.dispose();
+      bloomPass = null;
+    }
+    if (bloom && bloomPass) {
+      bloomPass.strength = bloom.strength;
+      bloomPass.radius = bloom.radius;
+      bloomPass.threshold = bloom.threshold;
+    }
+
+    if (grain || vignette || aberration) {
+      if (!finishPass) finishPass = new ShaderPass(finishShader);
+      const { material, uniforms } = finishPass;
+      const defines: Record<string, string> = {};
+      if (grain) defines.USE_GRAIN = "";
+      if (vignette) defines.USE_VIGNETTE = "";
+      if (aberration) defines.USE_CHROMATIC_ABERRATION = "";
+      if (
+        Object.keys(defines).join() !== Object.keys(material.defines).join()
+      ) {
+        material.defines = defines;
+        material.needsUpdate = true;
+      }
+      if (grain) {
+        uniforms.uGrainIntensity.value = grain.intensity;
+        uniforms.uGrainFps.value = grain.fps;
+      }
+      if (vignette) {
+        uniforms.uVignetteOffset.value = vignette.offset;
+        uniforms.uVignetteDarkness.value = vignette.darkness;
+      }
+      if (aberration) uniforms.uAberrationOffset.value = aberration.offset;
+    } else if (finishPass) {
+      finishPass.dispose();
+      finishPass = null;
+    }
+
+    // 按固定顺序重建 pass 列表，未开启的 pass 不参与渲染
+    const passes = [renderPass, bloomPass, finishPass, outputPass].filter(
+      (pass) => pass !== null
+    );
+    for (const pass of [...composer.passes]) composer.removePass(pass);
+    for (const pass of passes) composer.addPass(pass);
+  };
+
+  const setSize = (width: number, height: number, nextPixelRatio: number) => {
+    size.set(width, height);
+    pixelRatio = nextPixelRatio;
+    composer?.setPixelRatio(pixelRatio);
+    composer?.setSize(width, height);
+  };
+
+  // time 为动画时钟（秒），用于驱动颗粒，保证录制结果可复现
+  const render = (time: number) => {
+    if (!composer) {
+      renderer.render(scene, camera);
+      return;
+    }
+    if (finishPass) {
+      finishPass.uniforms.uTime.value = time;
+      finishPass.uniforms.uResolution.value.set(
+        size.x * pixelRatio,
+        size.y * pixelRatio
+      );
+    }
+    composer.render();
+  };
+
+  return { update, setSize, render, dispose: disposeComposer };
+}
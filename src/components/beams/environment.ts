@@ -0,0 +1,205 @@
+import * as THREE from "three";
+import { RoomEnvironment } from "three/examples/jsm/environments/RoomEnvironment.js";
+import { RGBELoader } from "three/examples/jsm/loaders/RGBELoader.js";
+import { toColor } from "./color";
+import { loadTexture } from "./loaders";
+
+export type BeamsEnvironmentOptions =
+  | { type: "room"; intensity?: number }
+  // 程序生成的渐变天空，颜色从上到下依次为 top / horizon / bottom
+  | {
+      type: "sky";
+      intensity?: number;
+      topColor?: string;
+      horizonColor?: string;
+      bottomColor?: string;
+    }
+  // 等距柱状投影的全景图，.hdr 按 RGBE 解码，其他格式按普通图片加载
+  | { type: "equirect"; url: string; intensity?: number };
+
+export type BeamsEnvironment = "room" | "sky" | BeamsEnvironmentOptions;
+
+export type ResolvedEnvironment =
+  | { type: "room"; intensity: number }
+  | {
+      type: "sky";
+      intensity: number;
+      topColor: string;
+      horizonColor: string;
+      bottomColor: string;
+    }
+  | { type: "equirect"; url: string; intensity: number };
+
+export type EnvironmentMap = ReturnType<typeof createEnvironmentMap>;
+
+// 字符串简写展开为对应类型，sky 未指定的颜色使用默认渐变
+export function resolveEnvironment(
+  value: BeamsEnvironment | undefined
+): ResolvedEnvironment | null {
+  if (!value) return null;
+  const options: BeamsEnvironmentOptions =
+    typeof value === "string" ? { type: value } : value;
+  const intensity = options.intensity ?? 1;
+
+  switch (options.type) {
+    case "sky":
+      return {
+        type: "sky",
+        intensity,
+        topColor: options.topColor ?? "#3a6ea5",
+        horizonColor: options.horizonColor ?? "#f2d6c9",
+        bottomColor: options.bottomColor ?? "#101014",
+      };
+    case "equirect":
+      return { type: "equirect", url: options.url, intensity };
+    default:
+      return { type: "room", intensity };
+  }
+}
+
+const createSkyScene = (
+  environment: Extract<ResolvedEnvironment, { type: "sky" }>
+) => {
+  const scene = new THREE.Scene();
+  const material = new THREE.ShaderMaterial({
+    side: THREE.BackSide,
+    depthWrite: false,
+    uniforms: {
+      topColor: { value: toColor(environment.topColor, "#3a6ea5") },
+      horizonColor: { value: toColor(environment.horizonColor, "#f2d6c9") },
+      bottomColor: { value: toColor(environment.bottomColor, "#101014") },
+    },
+    vertexShader: `
+      varying vec3 vDirection;
+
+      void main() {
+        vDirection = normalize(position);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform vec3 topColor;
+      uniform vec3 horizonColor;
+      uniform vec3 bottomColor;
+      varying vec3 vDirection;
+
+      void main() {
+        float h = normalize(vDirection).y;
+        vec3 color = h > 0.0
+          ? mix(horizonColor, topColor, pow(h, 0.6))
+          : mix(horizonColor, bottomColor, pow(-h, 0.4));
+        gl_FragColor = vec4(color, 1.0);
+      }
+    `,
+  });
+  scene.add(new THREE.Mesh(new THREE.SphereGeometry(10, 32, 16), material));
+  return scene;
+};
+
+const disposeScene = (scene: THREE.Scene) => {
+  scene.traverse((object) => {
+    if (!(object instanceof THREE.Mesh)) return;
+    object.geometry.dispose();
+    (Array.isArray(object.material) ? object.material : [object.material])
+      .forEach((material) => material.dispose());
+  });
+};
+
+const loadEquirect = (url: string): Promise<THREE.Texture> => {
+  if (/\.hdr($|\?)/i.test(url)) return new RGBELoader().loadAsync(url);
+  return loadTexture(url);
+};
+
+// 按需生成 PMREM 环境贴图。生成依赖渲染器，因此在渲染前通过 prepare 调用；
+// 设置变化、渲染器更换或上下文恢复后重新生成，远程贴图加载完成时调用 onLoad
+export function createEnvironmentMap(onLoad: () => void) {
+  let key: string | null = null;
+  let owner: THREE.WebGLRenderer | null = null;
+  let target: THREE.WebGLRenderTarget | null = null;
+  let source: THREE.Texture | null = null;
+  let request = 0;
+
+  // 释放整个渲染目标，只释放 texture 会遗留帧缓冲
+  const release = () => {
+    target?.dispose();
+    target = null;
+    owner = null;
+  };
+
+  const load = (url: string) => {
+    const id = ++request;
+    loadEquirect(url).then(
+      (loaded) => {
+        if (id !== request) {
+          loaded.dispose();
+          return;
+        }
+        loaded.mapping = THREE.EquirectangularReflectionMapping;
+        source = loaded;
+        onLoad();
+      },
+      (error) => {
+        if (id === request) {
+          console.warn(`[Beams] Failed to load environment "${url}"`, error);
+        }
+      }
+    );
+  };
+
+  const generate = (
+    renderer: THREE.WebGLRenderer,
+    environment: ResolvedEnvironment
+  ) => {
+    const pmrem = new THREE.PMREMGenerator(renderer);
+    let result: THREE.WebGLRenderTarget;
+    if (environment.type === "equirect") {
+      result = pmrem.fromEquirectangular(source!);
+    } else {
+      const scene =
+        environment.type === "sky"
+          ? createSkyScene(environment)
+          : new RoomEnvironment();
+      result = pmrem.fromScene(scene, 0.04);
+      disposeScene(scene);
+    }
+    pmrem.dispose();
+    return result;
+  };
+
+  const prepare = (
+    renderer: THREE.WebGLRenderer,
+    environment: ResolvedEnvironment | null
+  ) => {
+    // 强度通过 uniform 调整，不需要重新生成
+    const nextKey = environment
+      ? JSON.stringify({ ...environment, intensity: 0 })
+      : null;
+    if (nextKey !== key) {
+      key = nextKey;
+      release();
+      source?.dispose();
+      source = null;
+      request++;
+      if (environment?.type === "equirect") load(environment.url);
+    }
+
+    if (!environment || owner === renderer) return target?.texture ?? null;
+    if (environment.type === "equirect" && !source) return null;
+
+    release();
+    target = generate(renderer, environment);
+    owner = renderer;
+    return target.texture;
+  };
+
+  const dispose = () => {
+    release();
+    source?.dispose();
+    source = null;
+    key = null;
+    request++;
+  };
+
+  // 上下文恢复后旧贴图失效，下次渲染时重新生成
+  return { prepare, invalidate: release, dispose };
+}
@@ -0,0 +1,233 @@
+import * as THREE from "three";
+
+export type BeamsLayoutType = "stacked" | "fan" | "spiral" | "grid" | "arc";
+
+export type BeamsLayout =
+  | { type: "stacked" }
+  // angle 为扇形张角（度），360 为放射状；innerRadius 为光束起点到圆心的距离
+  | { type: "fan"; angle?: number; innerRadius?: number }
+  // turns 为每条旋臂绕行的圈数
+  | { type: "spiral"; turns?: number; innerRadius?: number }
+  // 一半光束竖排、一半横排交叉，angle 为两组之间的夹角（度）
+  | { type: "grid"; angle?: number }
+  // bend 为每条光束弯曲的总角度（度），负值向右弯
+  | { type: "arc"; bend?: number };
+
+// 光束中心线上某点的位置与沿长度方向的单位切线
+interface BeamFrame {
+  x: number;
+  y: number;
+  tx: number;
+  ty: number;
+}
+
+interface BeamPathContext {
+  n: number;
+  width: number;
+  height: number;
+  spacing: number;
+}
+
+// i 为光束序号，t 为沿长度的位置（0 ~ 1）
+type BeamPath = (i: number, t: number) => BeamFrame;
+
+// 并排竖直光束时第 i 条的中心 x，其他布局也以此作为噪声采样的局部坐标
+const getStackedCenter = (
+  i: number,
+  { n, width, spacing }: Pick<BeamPathContext, "n" | "width" | "spacing">
+) => {
+  const totalWidth = n * width + (n - 1) * spacing;
+  return -totalWidth / 2 + i * (width + spacing) + width / 2;
+};
+
+const createStackedPath =
+  (context: BeamPathContext): BeamPath =>
+  (i, t) => ({
+    x: getStackedCenter(i, context),
+    y: context.height * (t - 0.5),
+    tx: 0,
+    ty: 1,
+  });
+
+const createFanPath = (
+  context: BeamPathContext,
+  { angle = 360, innerRadius = 1 }: { angle?: number; innerRadius?: number }
+): BeamPath => {
+  const spread = THREE.MathUtils.degToRad(angle);
+  const full = angle >= 360;
+
+  return (i, t) => {
+    const theta = full
+      ? (i / context.n) * Math.PI * 2
+      : context.n > 1
+        ? spread * (i / (context.n - 1) - 0.5)
+        : 0;
+    const dx = Math.sin(theta);
+    const dy = Math.cos(theta);
+    const radius = innerRadius + t * context.height;
+    return { x: dx * radius, y: dy * radius, tx: dx, ty: dy };
+  };
+};
+
+const createSpiralPath = (
+  context: BeamPathContext,
+  { turns = 1, innerRadius = 1 }: { turns?: number; innerRadius?: number }
+): BeamPath => {
+  const sweep = turns * Math.PI * 2;
+
+  return (i, t) => {
+    const theta = (i / context.n) * Math.PI * 2 + sweep * t;
+    const radius = innerRadius + t * context.height;
+    const sin = Math.sin(theta);
+    const cos = Math.cos(theta);
+    // 阿基米德螺线对 t 求导得到切线
+    const tx = context.height * sin + radius * sweep * cos;
+    const ty = context.height * cos - radius * sweep * sin;
+    const length = Math.hypot(tx, ty) || 1;
+    return {
+      x: sin * radius,
+      y: cos * radius,
+      tx: tx / length,
+      ty: ty / length,
+    };
+  };
+};
+
+const createGridPath = (
+  context: BeamPathContext,
+  { angle = 90 }: { angle?: number }
+): BeamPath => {
+  const columns = Math.ceil(context.n / 2);
+  const rows = context.n - columns;
+  const column = createStackedPath({ ...context, n: columns });
+  const row = createStackedPath({ ...context, n: rows });
+  const theta = -THREE.MathUtils.degToRad(angle);
+  const sin = Math.sin(theta);
+  const cos = Math.cos(theta);
+
+  return (i, t) => {
+    if (i < columns) return column(i, t);
+    const { x, y, tx, ty } = row(i - columns, t);
+    return {
+      x: x * cos - y * sin,
+      y: x * sin + y * cos,
+      tx: tx * cos - ty * sin,
+      ty: tx * sin + ty * cos,
+    };
+  };
+};
+
+const createArcPath = (
+  context: BeamPathContext,
+  { bend = 90 }: { bend?: number }
+): BeamPath => {
+  const sweep = THREE.MathUtils.degToRad(bend);
+  if (Math.abs(sweep) < 1e-3) return createStackedPath(context);
+
+  // 各光束共用一个圆心，中间光束的弧长等于 height
+  const radius = context.height / sweep;
+
+  return (i, t) => {
+    const beamRadius = radius + getStackedCenter(i, context);
+    const phi = (t - 0.5) * sweep;
+    const direction = Math.sign(beamRadius * sweep) || 1;
+    return {
+      x: beamRadius * Math.cos(phi) - radius,
+      y: beamRadius * Math.sin(phi),
+      tx: -Math.sin(phi) * direction,
+      ty: Math.cos(phi) * direction,
+    };
+  };
+};
+
+const createBeamPath = (
+  layout: BeamsLayout,
+  context: BeamPathContext
+): BeamPath => {
+  switch (layout.type) {
+    case "fan":
+      return createFanPath(context, layout);
+    case "spiral":
+      return createSpiralPath(context, layout);
+    case "grid":
+      return createGridPath(context, layout);
+    case "arc":
+      return createArcPath(context, layout);
+    default:
+      return createStackedPath(context);
+  }
+};
+
+// 顶点顺序固定为 [光束][分段][左右两侧]，颜色属性依赖这一顺序。
+// position 为布局后的坐标；beamLocal 为并排竖直布局下的坐标，
+// 着色器在该空间中采样噪声并计算法线，再通过 beamTangent 转回布局空间
+export function createBeamsGeometry(
+  layout: BeamsLayout,
+  n: number,
+  width: number,
+  height: number,
+  spacing: number,
+  heightSegments: number,
+  random: () => number = Math.random
+): THREE.BufferGeometry {
+  const geometry = new THREE.BufferGeometry();
+  const numVertices = n * (heightSegments + 1) * 2;
+  const numFaces = n * heightSegments * 2;
+  const positions = new Float32Array(numVertices * 3);
+  const locals = new Float32Array(numVertices * 3);
+  const tangents = new Float32Array(numVertices * 2);
+  const indices = new Uint32Array(numFaces * 3);
+  const uvs = new Float32Array(numVertices * 2);
+
+  const context = { n, width, height, spacing };
+  const path = createBeamPath(layout, context);
+
+  let vertexOffset = 0;
+  let indexOffset = 0;
+  let uvOffset = 0;
+
+  for (let i = 0; i < n; i++) {
+    const xOffset = getStackedCenter(i, context) - width / 2;
+    const uvXOffset = random() * 300;
+    const uvYOffset = random() * 300;
+
+    for (let j = 0; j <= heightSegments; j++) {
+      const t = j / heightSegments;
+      const y = height * (t - 0.5);
+      locals.set([xOffset, y, 0, xOffset + width, y, 0], vertexOffset * 3);
+
+      const { x: cx, y: cy, tx, ty } = path(i, t);
+      const ax = (ty * width) / 2;
+      const ay = (-tx * width) / 2;
+      positions.set(
+        [cx - ax, cy - ay, 0, cx + ax, cy + ay, 0],
+        vertexOffset * 3
+      );
+      tangents.set([tx, ty, tx, ty], vertexOffset * 2);
+
+      uvs.set(
+        [uvXOffset, t + uvYOffset, uvXOffset + 1, t + uvYOffset],
+        uvOffset
+      );
+
+      if (j < heightSegments) {
+        const a = vertexOffset,
+          b = vertexOffset + 1,
+          c = vertexOffset + 2,
+          d = vertexOffset + 3;
+        indices.set([a, b, c, c, b, d], indexOffset);
+        indexOffset += 6;
+      }
+      vertexOffset += 2;
+      uvOffset += 4;
+    }
+  }
+
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute("beamLocal", new THREE.BufferAttribute(locals, 3));
+  geometry.setAttribute("beamTangent", new THREE.BufferAttribute(tangents, 2));
+  geometry.setAttribute("uv", new THREE.BufferAttribute(uvs, 2));
+  geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+  geometry.computeVertexNormals();
+  return geometry;
+}
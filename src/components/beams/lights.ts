@@ -0,0 +1,168 @@
+import * as THREE from "three";
+import { toColor } from "./color";
+
+export type BeamsLightType =
+  | "directional"
+  | "point"
+  | "spot"
+  | "hemisphere"
+  | "ambient";
+
+type Vector3Tuple = [number, number, number];
+
+export interface BeamsLightOrbit {
+  axis?: "x" | "y" | "z"; // 绕模型原点旋转的轴
+  speed?: number; // 每秒转数，负值反向，随动画时钟推进；设置 loopDuration 时取整为每周期整数圈
+}
+
+export interface BeamsLight {
+  type: BeamsLightType;
+  color?: string;
+  groundColor?: string; // hemisphere 的地面颜色
+  intensity?: number;
+  position?: Vector3Tuple;
+  target?: Vector3Tuple; // directional / spot 的照射目标
+  distance?: number; // point / spot 的照射距离，0 表示无限
+  decay?: number; // point / spot 的衰减指数
+  angle?: number; // spot 的锥角（度）
+  penumbra?: number; // spot 的边缘柔和度（0~1）
+  orbit?: BeamsLightOrbit;
+}
+
+export interface ResolvedLight {
+  type: BeamsLightType;
+  color: string;
+  groundColor: string;
+  intensity: number;
+  position: Vector3Tuple;
+  target: Vector3Tuple;
+  distance: number;
+  decay: number;
+  angle: number;
+  penumbra: number;
+  orbit: Required<BeamsLightOrbit> | null;
+}
+
+export type SceneLight =
+  | THREE.DirectionalLight
+  | THREE.PointLight
+  | THREE.SpotLight
+  | THREE.HemisphereLight
+  | THREE.AmbientLight;
+
+// point / spot 使用物理衰减，默认强度需要比平行光高得多
+const DEFAULT_INTENSITY: Record<BeamsLightType, number> = {
+  directional: 1,
+  point: 100,
+  spot: 100,
+  hemisphere: 1,
+  ambient: 1,
+};
+
+const ORBIT_AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1),
+};
+
+// 未传 lights 时沿用原来的灯光：lightColor 平行光 + 白色环境光
+export function resolveLights(
+  lights: BeamsLight[] | undefined,
+  lightColor: string
+): ResolvedLight[] {
+  const descriptors: BeamsLight[] = lights ?? [
+    { type: "directional", color: lightColor, position: [0, 3, 10] },
+    { type: "ambient" },
+  ];
+
+  return descriptors.map((light) => ({
+    type: light.type,
+    color: light.color ?? "#ffffff",
+    groundColor: light.groundColor ?? "#000000",
+    intensity: light.intensity ?? DEFAULT_INTENSITY[light.type],
+    position: [...(light.position ?? [0, 3, 10])],
+    target: [...(light.target ?? [0, 0, 0])],
+    distance: light.distance ?? 0,
+    decay: light.decay ?? 2,
+    angle: light.angle ?? 30,
+    penumbra: light.penumbra ?? 0.5,
+    orbit: light.orbit ? { axis: "y", speed: 0.1, ...light.orbit } : null,
+  }));
+}
+
+export function createLight(type: BeamsLightType): SceneLight {
+  switch (type) {
+    case "point":
+      return new THREE.PointLight();
+    case "spot": {
+      const light = new THREE.SpotLight();
+      light.shadow.camera.far = 64;
+      light.shadow.bias = -0.004;
+      return light;
+    }
+    case "hemisphere":
+      return new THREE.HemisphereLight();
+    case "ambient":
+      return new THREE.AmbientLight();
+    default: {
+      const light = new THREE.DirectionalLight();
+      const shadowCamera = light.shadow.camera;
+      shadowCamera.top = 24;
+      shadowCamera.bottom = -24;
+      shadowCamera.left = -24;
+      shadowCamera.right = 24;
+      shadowCamera.far = 64;
+      light.shadow.bias = -0.004;
+      return light;
+    }
+  }
+}
+
+// 只更新属性，不重新创建灯光对象
+export function applyLight(light: SceneLight, descriptor: ResolvedLight) {
+  toColor(descriptor.color, "#ffffff", light.color);
+  light.intensity = descriptor.intensity;
+
+  if (light instanceof THREE.HemisphereLight) {
+    toColor(descriptor.groundColor, "#000000", light.groundColor);
+  }
+  if (light instanceof THREE.PointLight || light instanceof THREE.SpotLight) {
+    light.distance = descriptor.distance;
+    light.decay = descriptor.decay;
+  }
+  if (light instanceof THREE.SpotLight) {
+    light.angle = THREE.MathUtils.degToRad(descriptor.angle);
+    light.penumbra = descriptor.penumbra;
+  }
+  if (
+    light instanceof THREE.DirectionalLight ||
+    light instanceof THREE.SpotLight
+  ) {
+    light.target.position.set(...descriptor.target);
+    light.target.updateMatrixWorld();
+  }
+}
+
+// 循环模式下把转速取整为每个周期整数圈，周期结束时灯光回到起点
+const getOrbitTurns = (speed: number, time: number, loopPeriod: number) => {
+  if (loopPeriod <= 0) return speed * time;
+  const turns = Math.round(Math.abs(speed) * loopPeriod);
+  const phase = ((time % loopPeriod) + loopPeriod) % loopPeriod;
+  return (Math.sign(speed) * Math.max(turns, 1) * phase) / loopPeriod;
+};
+
+// time 为动画时钟（秒），有 orbit 时把初始位置绕轴旋转；
+// loopPeriod 为无缝循环周期（秒），0 表示不循环
+export function updateLightPosition(
+  light: SceneLight,
+  descriptor: ResolvedLight,
+  time: number,
+  loopPeriod = 0
+) {
+  light.position.set(...descriptor.position);
+  if (!descriptor.orbit || descriptor.orbit.speed === 0) return;
+
+  const { axis, speed } = descriptor.orbit;
+  const turns = getOrbitTurns(speed, time, loopPeriod);
+  light.position.applyAxisAngle(ORBIT_AXES[axis], turns * Math.PI * 2);
+}
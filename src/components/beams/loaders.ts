@@ -0,0 +1,31 @@
+import * as THREE from "three";
+
+// Worker 中没有 Image，改用 ImageBitmap 加载
+const loadBitmap = (url: string, flipY: boolean) =>
+  new THREE.ImageBitmapLoader()
+    .setOptions({ imageOrientation: flipY ? "flipY" : "from-image" })
+    .loadAsync(url);
+
+// 按原始方向加载图片，用于绘制到 2D 画布
+export function loadImage(
+  url: string
+): Promise<HTMLImageElement | ImageBitmap> {
+  if (typeof document !== "undefined") {
+    return new THREE.ImageLoader().loadAsync(url);
+  }
+  return loadBitmap(url, false);
+}
+
+// 加载为 sRGB 贴图。ImageBitmap 上传时忽略 flipY，因此在解码时预先翻转
+export async function loadTexture(url: string): Promise<THREE.Texture> {
+  let texture: THREE.Texture;
+  if (typeof document !== "undefined") {
+    texture = await new THREE.TextureLoader().loadAsync(url);
+  } else {
+    texture = new THREE.Texture(await loadBitmap(url, true));
+    texture.flipY = false;
+    texture.needsUpdate = true;
+  }
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
@@ -0,0 +1,210 @@
+import * as THREE from "three";
+import { loadImage } from "./loaders";
+
+export type BeamsMaskShape =
+  // SVG 路径，viewBox 为路径坐标中的可见区域 [x, y, width, height]
+  | { type: "path"; path: string; viewBox: [number, number, number, number] }
+  // 使用图片的 alpha 通道
+  | { type: "image"; url: string }
+  // font 为 CSS font 简写，如 "bold 160px Inter"
+  | { type: "text"; text: string; font?: string };
+
+export type BeamsMask = BeamsMaskShape & {
+  feather?: number; // 边缘羽化宽度，单位与遮罩源一致（路径坐标 / 字号像素 / 图片像素）
+  invert?: boolean; // 反转遮罩，只在形状外显示光束
+  scale?: number; // 遮罩按比例完整放入画布后的缩放
+};
+
+export type ResolvedMask = BeamsMaskShape & {
+  feather: number;
+  invert: boolean;
+  scale: number;
+};
+
+export type BeamsMaskMap = ReturnType<typeof createBeamsMaskMap>;
+
+// 遮罩长边的光栅化分辨率
+const MASK_RESOLUTION = 1024;
+
+const DEFAULT_FONT = "bold 160px sans-serif";
+
+interface MaskSource {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  draw: (context: MaskContext) => void;
+}
+
+type MaskCanvas = HTMLCanvasElement | OffscreenCanvas;
+type MaskContext =
+  | CanvasRenderingContext2D
+  | OffscreenCanvasRenderingContext2D;
+
+// Worker 中没有 document，使用 OffscreenCanvas
+const createCanvas = (width: number, height: number): MaskCanvas => {
+  if (typeof document === "undefined") {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const getContext = (canvas: MaskCanvas) =>
+  canvas.getContext("2d") as MaskContext;
+
+// 只保留当前形状类型用到的字段，viewBox 复制一份，避免引用调用方的数组
+export function resolveMask(value: BeamsMask | undefined): ResolvedMask | null {
+  if (!value) return null;
+  const { feather = 0, invert = false, scale = 1 } = value;
+
+  switch (value.type) {
+    case "path":
+      return {
+        type: "path",
+        path: value.path,
+        viewBox: [...value.viewBox],
+        feather,
+        invert,
+        scale,
+      };
+    case "image":
+      return { type: "image", url: value.url, feather, invert, scale };
+    default:
+      return {
+        type: "text",
+        text: value.text,
+        font: value.font ?? DEFAULT_FONT,
+        feather,
+        invert,
+        scale,
+      };
+  }
+}
+
+const createPathSource = (
+  mask: Extract<BeamsMaskShape, { type: "path" }>
+): MaskSource => {
+  const [x, y, width, height] = mask.viewBox;
+  const path = new Path2D(mask.path);
+  return { x, y, width, height, draw: (context) => context.fill(path) };
+};
+
+const createImageSource = async (url: string): Promise<MaskSource> => {
+  const image = await loadImage(url);
+  return {
+    x: 0,
+    y: 0,
+    width: image.width,
+    height: image.height,
+    draw: (context) => context.drawImage(image, 0, 0),
+  };
+};
+
+// 网页字体可能尚未加载，先等待字体可用再测量
+const createTextSource = async (text: string, font: string) => {
+  if (typeof document !== "undefined") await document.fonts.load(font, text);
+  const context = getContext(createCanvas(1, 1));
+  context.font = font;
+  const metrics = context.measureText(text);
+  return {
+    x: -metrics.actualBoundingBoxLeft,
+    y: -metrics.actualBoundingBoxAscent,
+    width: metrics.actualBoundingBoxLeft + metrics.actualBoundingBoxRight,
+    height: metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent,
+    draw: (context: MaskContext) => {
+      context.font = font;
+      context.fillText(text, 0, 0);
+    },
+  };
+};
+
+const createMaskSource = (mask: ResolvedMask): Promise<MaskSource> => {
+  switch (mask.type) {
+    case "path":
+      return Promise.resolve(createPathSource(mask));
+    case "image":
+      return createImageSource(mask.url);
+    default:
+      return createTextSource(mask.text, mask.font ?? DEFAULT_FONT);
+  }
+};
+
+// 以白色绘制形状，只使用 alpha 通道。羽化借助阴影模糊实现：
+// 形状画在画布外，只让偏移回画布内的模糊阴影留下
+const rasterize = (source: MaskSource, feather: number) => {
+  const ratio = MASK_RESOLUTION / Math.max(source.width, source.height, 1e-6);
+  const blur = Math.max(feather, 0) * ratio;
+  // 四周留出透明边距，采样超出范围时钳制到边缘即为 0
+  const padding = Math.ceil(blur) + 2;
+  const width = Math.max(Math.ceil(source.width * ratio), 1) + padding * 2;
+  const height = Math.max(Math.ceil(source.height * ratio), 1) + padding * 2;
+  const canvas = createCanvas(width, height);
+  const context = getContext(canvas);
+
+  context.fillStyle = "#ffffff";
+  if (blur > 0) {
+    context.shadowColor = "#ffffff";
+    context.shadowBlur = blur;
+    context.shadowOffsetX = width;
+  }
+  context.translate(padding - (blur > 0 ? width : 0), padding);
+  context.scale(ratio, ratio);
+  context.translate(-source.x, -source.y);
+  source.draw(context);
+
+  return { canvas, aspect: width / height };
+};
+
+// 按需光栅化遮罩，形状或羽化变化时重新生成，异步源加载完成后调用 onLoad
+export function createBeamsMaskMap(onLoad: () => void) {
+  let key: string | null = null;
+  let texture: THREE.CanvasTexture | null = null;
+  let aspect = 1;
+  let request = 0;
+
+  const release = () => {
+    texture?.dispose();
+    texture = null;
+    request++;
+  };
+
+  const setMask = (mask: ResolvedMask | null) => {
+    // 反转和缩放通过 define / uniform 调整，不需要重新光栅化
+    const nextKey = mask
+      ? JSON.stringify({ ...mask, invert: false, scale: 1 })
+      : null;
+    if (nextKey === key) return;
+    key = nextKey;
+    release();
+    if (!mask) return;
+
+    const id = request;
+    createMaskSource(mask).then(
+      (source) => {
+        if (id !== request) return;
+        const raster = rasterize(source, mask.feather);
+        texture = new THREE.CanvasTexture(raster.canvas);
+        aspect = raster.aspect;
+        onLoad();
+      },
+      (error) => {
+        if (id === request) console.warn("[Beams] Failed to load mask", error);
+      }
+    );
+  };
+
+  const dispose = () => {
+    release();
+    key = null;
+  };
+
+  return {
+    setMask,
+    get: () => texture,
+    getAspect: () => aspect,
+    dispose,
+  };
+}
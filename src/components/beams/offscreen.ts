@@ -0,0 +1,175 @@
+import type { BeamsEffects } from "./effects";
+import type { BeamsSceneOptions } from "./scene";
+
+export type BeamsWorkerRequest =
+  | {
+      type: "init";
+      canvas: OffscreenCanvas;
+      options: BeamsSceneOptions;
+      effects: BeamsEffects;
+      time: number;
+      width: number;
+      height: number;
+      pixelRatio: number;
+      antialias: boolean;
+    }
+  | { type: "update"; options: BeamsSceneOptions }
+  | { type: "effects"; effects: BeamsEffects }
+  | { type: "resize"; width: number; height: number; pixelRatio: number }
+  | { type: "run"; running: boolean }
+  | { type: "render" }
+  | { type: "seek"; time: number }
+  | { type: "pointer"; x: number; y: number }
+  | { type: "pointerRelease" }
+  | { type: "snapshot"; id: number; mimeType: string; quality?: number };
+
+export type BeamsWorkerResponse =
+  | { type: "ready" }
+  | { type: "error"; message: string; fatal: boolean }
+  | { type: "contextLost" }
+  | { type: "contextRestored" }
+  // 停止动画循环时回报 Worker 中的动画时钟，校正主线程的估算
+  | { type: "time"; time: number }
+  | { type: "snapshot"; id: number; blob?: Blob; message?: string };
+
+interface OffscreenBeamsInit {
+  options: BeamsSceneOptions;
+  effects: BeamsEffects;
+  time: number;
+  width: number;
+  height: number;
+  pixelRatio: number;
+  antialias: boolean;
+}
+
+interface OffscreenBeamsHandlers {
+  onReady: () => void;
+  // fatal 为 true 表示 Worker 无法渲染，调用方应回退到主线程
+  onError: (error: Error, fatal: boolean) => void;
+  onContextLost: () => void;
+  onContextRestored: () => void;
+}
+
+export type OffscreenBeams = ReturnType<typeof createOffscreenBeams>;
+
+export const supportsOffscreenCanvas = () =>
+  typeof Worker !== "undefined" &&
+  typeof OffscreenCanvas !== "undefined" &&
+  "transferControlToOffscreen" in HTMLCanvasElement.prototype;
+
+// 把画布控制权转交给 Worker，之后所有渲染都通过消息驱动
+export function createOffscreenBeams(
+  canvas: HTMLCanvasElement,
+  init: OffscreenBeamsInit,
+  handlers: OffscreenBeamsHandlers
+) {
+  const worker = new Worker(new URL("./beams.worker.ts", import.meta.url), {
+    type: "module",
+  });
+  const snapshots = new Map<
+    number,
+    { resolve: (blob: Blob) => void; reject: (error: Error) => void }
+  >();
+  let nextSnapshotId = 0;
+
+  // 主线程按 run / seek / update 消息估算 Worker 中的动画时钟，
+  // Worker 被销毁后宿主据此延续相位
+  let time = init.time;
+  let timeScale = init.options.timeScale;
+  let runningSince: number | null = null;
+
+  const getTime = () =>
+    runningSince === null
+      ? time
+      : time + ((performance.now() - runningSince) / 1000) * timeScale;
+
+  // 把运行中累积的时间计入 time，之后按新的参数继续估算
+  const settleTime = () => {
+    if (runningSince === null) return;
+    time = getTime();
+    runningSince = performance.now();
+  };
+
+  const post = (message: BeamsWorkerRequest, transfer: Transferable[] = []) =>
+    worker.postMessage(message, transfer);
+
+  worker.addEventListener(
+    "message",
+    (event: MessageEvent<BeamsWorkerResponse>) => {
+      const message = event.data;
+      switch (message.type) {
+        case "ready":
+          handlers.onReady();
+          break;
+        case "error":
+          handlers.onError(new Error(message.message), message.fatal);
+          break;
+        case "contextLost":
+          handlers.onContextLost();
+          break;
+        case "contextRestored":
+          handlers.onContextRestored();
+          break;
+        case "time":
+          if (runningSince === null) time = message.time;
+          break;
+        case "snapshot": {
+          const pending = snapshots.get(message.id);
+          snapshots.delete(message.id);
+          if (!pending) break;
+          if (message.blob) pending.resolve(message.blob);
+          else pending.reject(new Error(message.message));
+          break;
+        }
+      }
+    }
+  );
+  worker.addEventListener("error", (event) => {
+    handlers.onError(new Error(event.message || "Beams worker failed"), true);
+  });
+
+  const offscreen = canvas.transferControlToOffscreen();
+  post({ type: "init", canvas: offscreen, ...init }, [offscreen]);
+
+  const snapshot = (mimeType: string, quality?: number) =>
+    new Promise<Blob>((resolve, reject) => {
+      const id = nextSnapshotId++;
+      snapshots.set(id, { resolve, reject });
+      post({ type: "snapshot", id, mimeType, quality });
+    });
+
+  const dispose = () => {
+    worker.terminate();
+    snapshots.forEach(({ reject }) =>
+      reject(new Error("Beams worker terminated"))
+    );
+    snapshots.clear();
+  };
+
+  return {
+    update: (options: BeamsSceneOptions) => {
+      settleTime();
+      timeScale = options.timeScale;
+      post({ type: "update", options });
+    },
+    setEffects: (effects: BeamsEffects) => post({ type: "effects", effects }),
+    resize: (width: number, height: number, pixelRatio: number) =>
+      post({ type: "resize", width, height, pixelRatio }),
+    setRunning: (running: boolean) => {
+      settleTime();
+      runningSince = running ? performance.now() : null;
+      post({ type: "run", running });
+    },
+    render: () => post({ type: "render" }),
+    seek: (next: number) => {
+      time = next;
+      if (runningSince !== null) runningSince = performance.now();
+      post({ type: "seek", time: next });
+    },
+    setPointer: (x: number, y: number) => post({ type: "pointer", x, y }),
+    releasePointer: () => post({ type: "pointerRelease" }),
+    getTime,
+    snapshot,
+    dispose,
+  };
+}
@@ -0,0 +1,123 @@
+import { describe, expect, it, vi } from "vitest";
+import { MAX_QUALITY, createQualityGovernor } from "./quality";
+
+// 都是 2 的负幂，累加到 1 秒时没有浮点误差
+const SLOW = 1 / 4;
+const FAST = 1 / 64;
+
+const createGovernor = (bounds: [number, number] = [0, MAX_QUALITY]) => {
+  const onChange = vi.fn();
+  const governor = createQualityGovernor({
+    getBounds: () => bounds,
+    onChange,
+  });
+  return { governor, onChange };
+};
+
+// 以固定帧时长喂满一个 1 秒的统计窗口
+const sampleWindow = (
+  governor: ReturnType<typeof createQualityGovernor>,
+  delta: number
+) => {
+  for (let time = 0; time < 1; time += delta) governor.sample(delta);
+};
+
+describe("createQualityGovernor", () => {
+  it("starts at the highest tier allowed by the bounds", () => {
+    expect(createGovernor().governor.getTier()).toBe(MAX_QUALITY);
+    expect(createGovernor([0, 2]).governor.getTier()).toBe(2);
+    expect(createGovernor([0, 99]).governor.getTier()).toBe(MAX_QUALITY);
+  });
+
+  it("waits for a full window before judging frame times", () => {
+    const { governor, onChange } = createGovernor();
+    governor.sample(SLOW);
+    governor.sample(SLOW);
+    governor.sample(SLOW);
+    expect(onChange).not.toHaveBeenCalled();
+
+    governor.sample(SLOW);
+    expect(onChange).toHaveBeenCalledWith(MAX_QUALITY - 1);
+  });
+
+  it("steps down one tier per slow window", () => {
+    const { governor, onChange } = createGovernor();
+    sampleWindow(governor, SLOW);
+    sampleWindow(governor, SLOW);
+    expect(governor.getTier()).toBe(MAX_QUALITY - 2);
+    expect(onChange.mock.calls).toEqual([[MAX_QUALITY - 1], [MAX_QUALITY - 2]]);
+  });
+
+  it("upgrades only after three consecutive fast windows", () => {
+    const { governor, onChange } = createGovernor();
+    sampleWindow(governor, SLOW);
+    onChange.mockClear();
+
+    sampleWindow(governor, FAST);
+    sampleWindow(governor, FAST);
+    expect(onChange).not.toHaveBeenCalled();
+
+    sampleWindow(governor, FAST);
+    expect(onChange).toHaveBeenCalledWith(MAX_QUALITY);
+  });
+
+  it("restarts the upgrade count after a slow window", () => {
+    const { governor, onChange } = createGovernor();
+    sampleWindow(governor, SLOW);
+    onChange.mockClear();
+
+    sampleWindow(governor, FAST);
+    sampleWindow(governor, FAST);
+    sampleWindow(governor, SLOW);
+    expect(governor.getTier()).toBe(MAX_QUALITY - 2);
+    onChange.mockClear();
+
+    sampleWindow(governor, FAST);
+    sampleWindow(governor, FAST);
+    expect(onChange).not.toHaveBeenCalled();
+    sampleWindow(governor, FAST);
+    expect(governor.getTier()).toBe(MAX_QUALITY - 1);
+  });
+
+  it("clamps to the bounds without firing onChange at the limits", () => {
+    const { governor, onChange } = createGovernor([1, 2]);
+    sampleWindow(governor, SLOW);
+    expect(governor.getTier()).toBe(1);
+    onChange.mockClear();
+
+    sampleWindow(governor, SLOW);
+    expect(governor.getTier()).toBe(1);
+
+    for (let i = 0; i < 6; i++) sampleWindow(governor, FAST);
+    expect(governor.getTier()).toBe(2);
+    expect(onChange.mock.calls).toEqual([[2]]);
+  });
+
+  it("clamps setTier and only reports real changes", () => {
+    const bounds: [number, number] = [0, MAX_QUALITY];
+    const { governor, onChange } = createGovernor(bounds);
+
+    governor.setTier(MAX_QUALITY);
+    expect(onChange).not.toHaveBeenCalled();
+
+    bounds[1] = 2;
+    governor.setTier(MAX_QUALITY);
+    expect(governor.getTier()).toBe(2);
+    expect(onChange).toHaveBeenCalledTimes(1);
+
+    governor.setTier(-5);
+    expect(governor.getTier()).toBe(0);
+    governor.setTier(0.4);
+    expect(onChange).toHaveBeenCalledTimes(2);
+  });
+
+  it("discards a partial window on reset", () => {
+    const { governor, onChange } = createGovernor();
+    governor.sample(SLOW);
+    governor.sample(SLOW);
+    governor.sample(SLOW);
+    governor.reset();
+    governor.sample(SLOW);
+    expect(onChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,75 @@
+export interface QualityTier {
+  pixelRatio: number; // 像素比上限（仍不超过 devicePixelRatio）
+  segmentScale: number; // 光束分段数的缩放比例
+  antialias: boolean; // 是否开启抗锯齿
+}
+
+// 由低到高排列的画质档位，最高档与未开启自适应时的默认画质一致
+export const QUALITY_TIERS: QualityTier[] = [
+  { pixelRatio: 0.5, segmentScale: 0.25, antialias: false },
+  { pixelRatio: 0.75, segmentScale: 0.5, antialias: false },
+  { pixelRatio: 1, segmentScale: 0.75, antialias: false },
+  { pixelRatio: 1.5, segmentScale: 1, antialias: true },
+  { pixelRatio: 2, segmentScale: 1, antialias: true },
+];
+
+export const MAX_QUALITY = QUALITY_TIERS.length - 1;
+
+const SAMPLE_WINDOW = 1; // 每次评估统计的时长（秒）
+const SLOW_FRAME = 1 / 45; // 平均帧时长超过该值时降档
+const FAST_FRAME = 1 / 57; // 平均帧时长低于该值时视为有余量
+const UPGRADE_WINDOWS = 3; // 连续多少个有余量的窗口后升档
+
+interface QualityGovernorOptions {
+  getBounds: () => [number, number];
+  onChange: (tier: number) => void;
+}
+
+const clampQuality = (tier: number, [min, max]: [number, number]) =>
+  Math.min(Math.max(Math.round(tier), min, 0), max, MAX_QUALITY);
+
+// 根据帧时长自动升降画质档位
+export function createQualityGovernor(options: QualityGovernorOptions) {
+  let tier = clampQuality(MAX_QUALITY, options.getBounds());
+  let windowTime = 0;
+  let windowFrames = 0;
+  let fastWindows = 0;
+
+  const reset = () => {
+    windowTime = 0;
+    windowFrames = 0;
+    fastWindows = 0;
+  };
+
+  const setTier = (next: number) => {
+    next = clampQuality(next, options.getBounds());
+    reset();
+    if (next === tier) return;
+    tier = next;
+    options.onChange(tier);
+  };
+
+  const sample = (delta: number) => {
+    windowTime += delta;
+    windowFrames += 1;
+    if (windowTime < SAMPLE_WINDOW) return;
+
+    const average = windowTime / windowFrames;
+    windowTime = 0;
+    windowFrames = 0;
+
+    if (average > SLOW_FRAME) {
+      fastWindows = 0;
+      setTier(tier - 1);
+    } else if (average < FAST_FRAME && ++fastWindows >= UPGRADE_WINDOWS) {
+      setTier(tier + 1);
+    }
+  };
+
+  return {
+    sample,
+    reset,
+    setTier,
+    getTier: () => tier,
+  };
+}
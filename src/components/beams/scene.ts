@@ -0,0 +1,812 @@
+import * as THREE from "three";
+import { degToRad } from "three/src/math/MathUtils.js";
+import { resolveColor, toColor } from "./color";
+import {
+  createEnvironmentMap,
+  type ResolvedEnvironment,
+} from "./environment";
+import { createBeamsGeometry, type BeamsLayout } from "./layout";
+import {
+  applyLight,
+  createLight,
+  updateLightPosition,
+  type BeamsLightType,
+  type ResolvedLight,
+  type SceneLight,
+} from "./lights";
+import {
+  SHADOW_MAP_TYPES,
+  createShadowBackdrop,
+  type ResolvedShadows,
+} from "./shadows";
+import { createBeamsMaskMap, type ResolvedMask } from "./mask";
+import {
+  TEXTURE_BLEND_MODES,
+  createBeamsTextureMap,
+  type ResolvedTexture,
+} from "./texture";
+import {
+  MAX_NOISE_OCTAVES,
+  getDisplacementNoise,
+  grainNoise,
+  type NoiseType,
+} from "./noise";
+
+// 光束场景的全部可配置项，主线程与 Worker 共用同一份结构
+export interface BeamsSceneOptions {
+  beamWidth: number;
+  beamHeight: number;
+  beamNumber: number;
+  beamSpacing: number;
+  segments: number;
+  seed?: number;
+  layout: BeamsLayout;
+  lights: ResolvedLight[];
+  speed: number;
+  noiseIntensity: number;
+  scale: number;
+  rotation: number;
+  timeScale: number;
+  loopDuration: number;
+  noiseType: NoiseType;
+  noiseOctaves: number;
+  noiseWarp: number;
+  pointerInteraction: boolean;
+  pointerRadius: number;
+  pointerStrength: number;
+  pointerDecay: number;
+  colors: string[];
+  colorMode: "length" | "index";
+  beamColors: string[];
+  cameraFov: number;
+  cameraDistance: number;
+  backgroundColor: string;
+  transparent: boolean;
+  shadows: ResolvedShadows | null;
+  environment: ResolvedEnvironment | null;
+  roughness: number;
+  metalness: number;
+  texture: ResolvedTexture | null;
+  mask: ResolvedMask | null;
+}
+
+export type BeamsScene = ReturnType<typeof createBeamsScene>;
+
+export const TIME_PER_SECOND = 0.1;
+export const MAX_FRAME_DELTA = 0.1;
+
+const GEOMETRY_KEYS = [
+  "beamWidth",
+  "beamHeight",
+  "beamNumber",
+  "beamSpacing",
+  "segments",
+  "seed",
+  "layout",
+] as const;
+
+const COLOR_KEYS = ["colors", "colorMode", "beamColors"] as const;
+
+type UniformValue = THREE.IUniform<unknown> | unknown;
+
+interface ExtendMaterialConfig {
+  header: string;
+  vertexHeader?: string;
+  fragmentHeader?: string;
+  material?: THREE.MeshPhysicalMaterialParameters & { fog?: boolean };
+  defines?: Record<string, string | number | boolean>;
+  uniforms?: Record<string, UniformValue>;
+  vertex?: Record<string, string>;
+  fragment?: Record<string, string>;
+}
+
+type ShaderWithDefines = THREE.ShaderLibShader & {
+  defines?: Record<string, string | number | boolean>;
+};
+
+// 渐变色标按 alpha 预乘，半透明色标让光束变暗（透明模式下即更通透）
+const toStopColor = (value: string) => {
+  const { r, g, b, a } = resolveColor(value, "#ffffff");
+  return new THREE.Color().setRGB(r * a, g * a, b * a, THREE.SRGBColorSpace);
+};
+
+const mulberry32 = (seed: number) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const hasChanged = (
+  prev: BeamsSceneOptions,
+  next: BeamsSceneOptions,
+  keys: readonly (keyof BeamsSceneOptions)[]
+) =>
+  keys.some((key) => JSON.stringify(prev[key]) !== JSON.stringify(next[key]));
+
+const getNoiseOctaves = (octaves: number) =>
+  THREE.MathUtils.clamp(Math.round(octaves), 1, MAX_NOISE_OCTAVES);
+
+function extendMaterial<T extends THREE.Material = THREE.Material>(
+  BaseMaterial: new (params?: THREE.MaterialParameters) => T,
+  cfg: ExtendMaterialConfig
+): THREE.ShaderMaterial {
+  const physical = THREE.ShaderLib.physical as ShaderWithDefines;
+  const {
+    vertexShader: baseVert,
+    fragmentShader: baseFrag,
+    uniforms: baseUniforms,
+  } = physical;
+  const baseDefines = physical.defines ?? {};
+
+  const uniforms: Record<string, THREE.IUniform> =
+    THREE.UniformsUtils.clone(baseUniforms);
+
+  const defaults = new BaseMaterial(cfg.material || {}) as T & {
+    color?: THREE.Color;
+    roughness?: number;
+    metalness?: number;
+    envMap?: THREE.Texture;
+    envMapIntensity?: number;
+  };
+
+  if (defaults.color) uniforms.diffuse.value = defaults.color;
+  if ("roughness" in defaults) uniforms.roughness.value = defaults.roughness;
+  if ("metalness" in defaults) uniforms.metalness.value = defaults.metalness;
+  if ("envMap" in defaults) uniforms.envMap.value = defaults.envMap;
+  if ("envMapIntensity" in defaults)
+    uniforms.envMapIntensity.value = defaults.envMapIntensity;
+
+  Object.entries(cfg.uniforms ?? {}).forEach(([key, u]) => {
+    uniforms[key] =
+      u !== null && typeof u === "object" && "value" in u
+        ? (u as THREE.IUniform<unknown>)
+        : ({ value: u } as THREE.IUniform<unknown>);
+  });
+
+  let vert = `${cfg.header}\n${cfg.vertexHeader ?? ""}\n${baseVert}`;
+  let frag = `${cfg.header}\n${cfg.fragmentHeader ?? ""}\n${baseFrag}`;
+
+  for (const [inc, code] of Object.entries(cfg.vertex ?? {})) {
+    vert = vert.replace(inc, `${inc}\n${code}`);
+  }
+  for (const [inc, code] of Object.entries(cfg.fragment ?? {})) {
+    frag = frag.replace(inc, `${inc}\n${code}`);
+  }
+
+  const mat = new THREE.ShaderMaterial({
+    defines: { ...baseDefines, ...cfg.defines },
+    uniforms,
+    vertexShader: vert,
+    fragmentShader: frag,
+    lights: true,
+    fog: !!cfg.material?.fog,
+    transparent: !!cfg.material?.transparent,
+    premultipliedAlpha: !!cfg.material?.premultipliedAlpha,
+  });
+
+  return mat;
+}
+
+const sampleGradient = (
+  stops: THREE.Color[],
+  t: number,
+  target: THREE.Color
+): THREE.Color => {
+  if (stops.length === 0) return target.setRGB(1, 1, 1);
+  if (stops.length === 1) return target.copy(stops[0]);
+
+  const position = THREE.MathUtils.clamp(t, 0, 1) * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  return target.lerpColors(stops[index], stops[index + 1], position - index);
+};
+
+function createBeamColorAttribute(
+  n: number,
+  heightSegments: number,
+  colors: string[],
+  colorMode: "length" | "index",
+  beamColors: string[]
+): THREE.BufferAttribute {
+  const stops = colors.map(toStopColor);
+  const palette = beamColors.map(toStopColor);
+  const values = new Float32Array(n * (heightSegments + 1) * 2 * 3);
+  const color = new THREE.Color();
+
+  let offset = 0;
+  for (let i = 0; i < n; i++) {
+    const beamT = n > 1 ? i / (n - 1) : 0;
+
+    for (let j = 0; j <= heightSegments; j++) {
+      sampleGradient(
+        stops,
+        colorMode === "index" ? beamT : j / heightSegments,
+        color
+      );
+      if (palette.length) color.multiply(palette[i % palette.length]);
+
+      values.set(
+        [color.r, color.g, color.b, color.r, color.g, color.b],
+        offset
+      );
+      offset += 6;
+    }
+  }
+
+  return new THREE.BufferAttribute(values, 3);
+}
+
+// requestRender 在异步资源（如环境贴图）加载完成后调用，由宿主安排重绘
+export function createBeamsScene(
+  initialOptions: BeamsSceneOptions,
+  initialTime = 0,
+  requestRender: () => void = () => {}
+) {
+  let options = initialOptions;
+  let elapsed = initialTime;
+  let pointerTarget = 0;
+  let pointerInfluence = 0;
+
+  const pointerHit = new THREE.Vector3();
+  const pointerPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+  const raycaster = new THREE.Raycaster();
+
+  const getPhase = () => {
+    const period = options.loopDuration;
+    if (period <= 0) return elapsed;
+    return ((elapsed % period) + period) % period;
+  };
+
+  const createColors = () =>
+    createBeamColorAttribute(
+      options.beamNumber,
+      options.segments,
+      options.colors,
+      options.colorMode,
+      options.beamColors
+    );
+
+  const createGeometry = () => {
+    const geometry = createBeamsGeometry(
+      options.layout,
+      options.beamNumber,
+      options.beamWidth,
+      options.beamHeight,
+      options.beamSpacing,
+      options.segments,
+      options.seed === undefined ? Math.random : mulberry32(options.seed)
+    );
+    geometry.setAttribute("beamColor", createColors());
+    return geometry;
+  };
+
+  const shaderHeader = `
+    varying vec3 vEye;
+    varying float vNoise;
+    varying vec2 vUv;
+    varying vec3 vPosition;
+    uniform float time;
+    uniform float uSpeed;
+    uniform float uNoiseIntensity;
+    uniform float uScale;
+    uniform float uLoopPeriod;
+    uniform vec2 uPointer;
+    uniform float uPointerRadius;
+    uniform float uPointerStrength;
+    varying float vPointerGlow;
+    varying vec3 vBeamColor;
+    #ifdef BEAMS_MASK
+      varying vec3 vMaskPosition;
+    #endif
+    ${grainNoise}`;
+
+  const createVertexHeader = () => `
+    ${getDisplacementNoise(options.noiseType)}
+    attribute vec3 beamColor;
+    attribute vec3 beamLocal;
+    attribute vec2 beamTangent;
+    uniform vec2 uTextureRepeat;
+    // 把光束局部空间（x 横跨、y 沿长度）中的向量转换到布局后的模型空间
+    vec3 toLayout(vec3 v) {
+      vec2 across = vec2(beamTangent.y, -beamTangent.x);
+      return vec3(across * v.x + beamTangent * v.y, v.z);
+    }
+    float getPointerFalloff(vec3 pos) {
+      return 1.0 - smoothstep(0.0, uPointerRadius, distance(pos.xy, uPointer));
+    }
+    vec3 getNoiseOffset() {
+      if (uLoopPeriod <= 0.) return vec3(0., 0., time * uSpeed * 3.);
+      // 循环模式：噪声沿额外维度上的圆周采样，一个周期后回到起点
+      float radius = uLoopPeriod * uSpeed * 3. / 6.28318530718;
+      float angle = 6.28318530718 * time / uLoopPeriod;
+      return vec3(cos(angle) * radius, 0., sin(angle) * radius);
+    }
+    // local 为光束局部坐标，用于采样噪声；pos 为模型坐标，用于指针衰减
+    float getPos(vec3 local, vec3 pos) {
+      vec3 noisePos =
+        (vec3(local.x * 0., local.y - uv.y, local.z) + getNoiseOffset()) *
+        uScale;
+      return beamNoise(noisePos) + getPointerFalloff(pos) * uPointerStrength;
+    }
+    vec3 getCurrentPos(vec3 offset) {
+      vec3 newpos = beamLocal + offset;
+      newpos.z += getPos(newpos, position + toLayout(offset));
+      return newpos;
+    }
+    vec3 getNormal() {
+      vec3 curpos = getCurrentPos(vec3(0.0));
+      vec3 nextposX = getCurrentPos(vec3(0.01, 0.0, 0.0));
+      vec3 nextposZ = getCurrentPos(vec3(0.0, -0.01, 0.0));
+      vec3 tangentX = normalize(nextposX - curpos);
+      vec3 tangentZ = normalize(nextposZ - curpos);
+      return toLayout(normalize(cross(tangentZ, tangentX)));
+    }`;
+
+  const beginVertex = `
+      vPointerGlow = getPointerFalloff(transformed.xyz) * uPointerStrength;
+      vBeamColor = beamColor;
+      vUv = uv * uTextureRepeat;
+      transformed.z += getPos(beamLocal, transformed.xyz);`;
+
+  // 贴图按每条光束的 uv 采样，在输出色彩空间中与光照后的颜色混合；
+  // 未加载完成时采样到透明像素，按 alpha 混合后不影响原有颜色
+  const textureFragmentHeader = `
+    #ifdef BEAMS_TEXTURE
+      uniform sampler2D uBeamTexture;
+      uniform float uTextureOpacity;
+      vec3 blendBeamTexture(vec3 base, vec4 texel) {
+        vec3 color = texel.rgb;
+        #if BEAMS_TEXTURE_BLEND == 0
+          vec3 blended = base * color;
+        #elif BEAMS_TEXTURE_BLEND == 1
+          vec3 blended = base + color;
+        #elif BEAMS_TEXTURE_BLEND == 2
+          vec3 blended = 1.0 - (1.0 - base) * (1.0 - color);
+        #elif BEAMS_TEXTURE_BLEND == 3
+          vec3 blended = mix(
+            2.0 * base * color,
+            1.0 - 2.0 * (1.0 - base) * (1.0 - color),
+            step(0.5, base)
+          );
+        #else
+          vec3 blended = color;
+        #endif
+        return mix(base, blended, texel.a * uTextureOpacity);
+      }
+    #endif`;
+
+  // 遮罩覆盖整个画布（按比例完整放入），按屏幕坐标采样，
+  // 齐次坐标在片元中再做透视除法，保证插值正确
+  const maskFragmentHeader = `
+    #ifdef BEAMS_MASK
+      uniform sampler2D uMask;
+      uniform vec2 uMaskScale;
+      float getBeamMask() {
+        vec2 screen = vMaskPosition.xy / vMaskPosition.z * 0.5 + 0.5;
+        float mask = texture2D(uMask, (screen - 0.5) / uMaskScale + 0.5).a;
+        #ifdef BEAMS_MASK_INVERT
+          mask = 1.0 - mask;
+        #endif
+        return mask;
+      }
+    #endif`;
+
+  const createDefines = () => {
+    const defines: Record<string, string | number> = {};
+    if (options.transparent) defines.BEAMS_TRANSPARENT = "";
+    if (options.texture) {
+      defines.BEAMS_TEXTURE = "";
+      defines.BEAMS_TEXTURE_BLEND = TEXTURE_BLEND_MODES[options.texture.blend];
+    }
+    if (options.mask) defines.BEAMS_MASK = "";
+    if (options.mask?.invert) defines.BEAMS_MASK_INVERT = "";
+    return defines;
+  };
+
+  const createMaterial = () =>
+    extendMaterial(THREE.MeshStandardMaterial, {
+      header: shaderHeader,
+      vertexHeader: createVertexHeader(),
+      fragmentHeader: `${textureFragmentHeader}\n${maskFragmentHeader}`,
+      vertex: {
+        "#include <begin_vertex>": beginVertex,
+        "#include <beginnormal_vertex>": `objectNormal = getNormal();`,
+        "#include <project_vertex>": `
+      #ifdef BEAMS_MASK
+        vMaskPosition = gl_Position.xyw;
+      #endif`,
+      },
+      fragment: {
+        "#include <dithering_fragment>": `
+      float randomNoise = noise(gl_FragCoord.xy);
+      gl_FragColor.rgb *= vBeamColor * (1.0 + vPointerGlow);
+      #ifdef BEAMS_TEXTURE
+        gl_FragColor.rgb = blendBeamTexture(
+          gl_FragColor.rgb,
+          linearToOutputTexel(texture2D(uBeamTexture, vUv))
+        );
+      #endif
+      gl_FragColor.rgb -= randomNoise / 15. * uNoiseIntensity;
+      #ifdef BEAMS_TRANSPARENT
+        // 以亮度作为 alpha，颜色即为预乘结果，暗部边缘透出下层内容
+        vec3 beamRGB = clamp(gl_FragColor.rgb, 0.0, 1.0);
+        gl_FragColor = vec4(beamRGB, max(max(beamRGB.r, beamRGB.g), beamRGB.b));
+      #endif
+      #ifdef BEAMS_MASK
+        // 完全遮住的片元直接丢弃，避免写入深度挡住其他光束
+        float beamMask = getBeamMask();
+        if (beamMask < 0.001) discard;
+        #ifdef BEAMS_TRANSPARENT
+          gl_FragColor *= beamMask;
+        #else
+          gl_FragColor.a *= beamMask;
+        #endif
+      #endif`,
+      },
+      material: {
+        fog: true,
+        transparent: options.transparent || !!options.mask,
+        premultipliedAlpha: options.transparent,
+      },
+      defines: createDefines(),
+      uniforms: {
+        diffuse: new THREE.Color(0x000000),
+        time: {
+          shared: true,
+          mixed: true,
+          linked: true,
+          value: getPhase() * TIME_PER_SECOND,
+        },
+        roughness: options.roughness,
+        metalness: options.metalness,
+        uSpeed: {
+          shared: true,
+          mixed: true,
+          linked: true,
+          value: options.speed,
+        },
+        envMapIntensity: options.environment?.intensity ?? 1,
+        uNoiseIntensity: options.noiseIntensity,
+        uScale: options.scale,
+        uLoopPeriod: options.loopDuration * TIME_PER_SECOND,
+        uNoiseOctaves: getNoiseOctaves(options.noiseOctaves),
+        uNoiseWarp: options.noiseWarp,
+        uPointer: new THREE.Vector2(),
+        uPointerRadius: options.pointerRadius,
+        uPointerStrength: 0,
+        uBeamTexture: null,
+        uTextureOpacity: options.texture?.opacity ?? 1,
+        uTextureRepeat: new THREE.Vector2(
+          ...(options.texture?.repeat ?? [1, 1])
+        ),
+        uMask: null,
+        uMaskScale: new THREE.Vector2(1, 1),
+      },
+    });
+
+  // 阴影深度材质复用位移代码与主材质的 uniform，投影与位移后的光束保持一致
+  const createDepthMaterial = (material: THREE.ShaderMaterial) => {
+    const { vertexShader, fragmentShader } = THREE.ShaderLib.depth;
+    const vertex = `${shaderHeader}\n${createVertexHeader()}\n${vertexShader}`;
+    return new THREE.ShaderMaterial({
+      defines: { DEPTH_PACKING: THREE.RGBADepthPacking },
+      uniforms: material.uniforms,
+      vertexShader: vertex.replace(
+        "#include <begin_vertex>",
+        `#include <begin_vertex>\n${beginVertex}`
+      ),
+      fragmentShader,
+    });
+  };
+
+  const scene = new THREE.Scene();
+
+  // 透明模式下不绘制背景，由渲染器以 alpha 0 清屏
+  const updateBackground = () => {
+    if (options.transparent) {
+      scene.background = null;
+    } else if (scene.background instanceof THREE.Color) {
+      toColor(options.backgroundColor, "#000000", scene.background);
+    } else {
+      scene.background = toColor(options.backgroundColor, "#000000");
+    }
+  };
+  updateBackground();
+
+  const camera = new THREE.PerspectiveCamera(options.cameraFov, 1, 0.1, 1000);
+  camera.position.set(0, 0, options.cameraDistance);
+
+  const mesh = new THREE.Mesh(createGeometry(), createMaterial());
+
+  const replaceMaterial = () => {
+    const pointer = mesh.material.uniforms.uPointer.value;
+    mesh.material.dispose();
+    mesh.customDepthMaterial?.dispose();
+    mesh.material = createMaterial();
+    mesh.material.uniforms.uPointer.value = pointer;
+    applyMaterialShadows();
+  };
+
+  // 光束是单面平面，双面投影才能在光源一侧留下阴影
+  const applyMaterialShadows = () => {
+    mesh.material.shadowSide = THREE.DoubleSide;
+    mesh.customDepthMaterial = createDepthMaterial(mesh.material);
+  };
+  applyMaterialShadows();
+
+  const group = new THREE.Group();
+  group.rotation.z = degToRad(options.rotation);
+  group.add(mesh);
+  scene.add(group);
+
+  const lights: { type: BeamsLightType; light: SceneLight }[] = [];
+
+  const removeLight = ({ light }: { light: SceneLight }) => {
+    scene.remove(light);
+    if ("target" in light) scene.remove(light.target);
+    light.dispose();
+  };
+
+  // 按序号复用同类型的灯光，只有类型或数量变化时才增删对象
+  const updateLights = () => {
+    options.lights.forEach((descriptor, i) => {
+      if (lights[i]?.type !== descriptor.type) {
+        if (lights[i]) removeLight(lights[i]);
+        const light = createLight(descriptor.type);
+        lights[i] = { type: descriptor.type, light };
+        scene.add(light);
+        if ("target" in light) scene.add(light.target);
+      }
+      applyLight(lights[i].light, descriptor);
+      applyLightShadows(lights[i].light);
+    });
+    lights.splice(options.lights.length).forEach(removeLight);
+    updateLightPositions();
+  };
+
+  const updateLightPositions = () => {
+    lights.forEach(({ light }, i) =>
+      updateLightPosition(
+        light,
+        options.lights[i],
+        elapsed,
+        options.loopDuration
+      )
+    );
+  };
+
+  // 点光源的阴影需要立方体深度贴图，与位移后的光束无法对齐，因此只有平行光和聚光灯投射阴影
+  const applyLightShadows = (light: SceneLight) => {
+    const { shadows } = options;
+    if (
+      !(light instanceof THREE.DirectionalLight) &&
+      !(light instanceof THREE.SpotLight)
+    ) {
+      return;
+    }
+    light.castShadow = !!shadows;
+    if (!shadows) return;
+
+    const { shadow } = light;
+    if (shadow.mapSize.x !== shadows.mapSize) {
+      shadow.mapSize.set(shadows.mapSize, shadows.mapSize);
+      shadow.map?.dispose();
+      shadow.map = null;
+    }
+    shadow.radius = shadows.radius;
+  };
+
+  let backdrop: ReturnType<typeof createShadowBackdrop> | null = null;
+
+  const disposeBackdrop = () => {
+    if (!backdrop) return;
+    group.remove(backdrop);
+    backdrop.geometry.dispose();
+    backdrop.material.dispose();
+    backdrop = null;
+  };
+
+  const applyShadows = () => {
+    const { shadows } = options;
+    mesh.castShadow = !!shadows;
+    mesh.receiveShadow = !!shadows;
+    lights.forEach(({ light }) => applyLightShadows(light));
+
+    if (!shadows?.backdrop) {
+      disposeBackdrop();
+      return;
+    }
+    if (!backdrop) {
+      backdrop = createShadowBackdrop();
+      group.add(backdrop);
+    }
+    backdrop.position.z = -shadows.backdrop.distance;
+    toColor(shadows.backdrop.color, "#000000", backdrop.material.color);
+    backdrop.material.opacity = shadows.backdrop.opacity;
+  };
+  applyShadows();
+  updateLights();
+
+  const environmentMap = createEnvironmentMap(requestRender);
+  const textureMap = createBeamsTextureMap(requestRender);
+  textureMap.setSource(options.texture?.source ?? null);
+  const maskMap = createBeamsMaskMap(requestRender);
+  maskMap.setMask(options.mask);
+
+  // 遮罩按比例完整放入画布，画布比例在 setSize 后才确定，因此每次渲染前计算
+  const updateMaskScale = () => {
+    const { uniforms } = mesh.material;
+    const ratio = maskMap.getAspect() / camera.aspect;
+    const scale = options.mask?.scale ?? 1;
+    uniforms.uMask.value = maskMap.get();
+    uniforms.uMaskScale.value.set(
+      Math.min(ratio, 1) * scale,
+      Math.min(1 / ratio, 1) * scale
+    );
+  };
+
+  // envMap 决定着色器是否编译环境光照分支，贴图变化时需要重新编译
+  const applyEnvironment = (texture: THREE.Texture | null) => {
+    const material = mesh.material as THREE.ShaderMaterial & {
+      envMap?: THREE.Texture | null;
+    };
+    if ((material.envMap ?? null) === texture) return;
+    material.envMap = texture;
+    material.uniforms.envMap.value = texture;
+    material.needsUpdate = true;
+  };
+
+  // 阴影贴图与环境贴图都依赖渲染器，每次渲染本场景前同步，共享渲染器下各实例互不影响
+  scene.onBeforeRender = (renderer) => {
+    renderer.shadowMap.enabled = !!options.shadows;
+    if (options.shadows) {
+      renderer.shadowMap.type = SHADOW_MAP_TYPES[options.shadows.type];
+    }
+    applyEnvironment(environmentMap.prepare(renderer, options.environment));
+    mesh.material.uniforms.uBeamTexture.value = textureMap.get();
+    updateMaskScale();
+  };
+
+  const syncUniforms = () => {
+    const { uniforms } = mesh.material;
+    uniforms.time.value = getPhase() * TIME_PER_SECOND;
+    uniforms.uSpeed.value = options.speed;
+    uniforms.uNoiseIntensity.value = options.noiseIntensity;
+    uniforms.uScale.value = options.scale;
+    uniforms.uLoopPeriod.value = options.loopDuration * TIME_PER_SECOND;
+    uniforms.uNoiseOctaves.value = getNoiseOctaves(options.noiseOctaves);
+    uniforms.uNoiseWarp.value = options.noiseWarp;
+    uniforms.uPointerRadius.value = options.pointerRadius;
+    uniforms.roughness.value = options.roughness;
+    uniforms.metalness.value = options.metalness;
+    uniforms.envMapIntensity.value = options.environment?.intensity ?? 1;
+    uniforms.uTextureOpacity.value = options.texture?.opacity ?? 1;
+    uniforms.uTextureRepeat.value.set(...(options.texture?.repeat ?? [1, 1]));
+    uniforms.uPointerStrength.value =
+      pointerInfluence * options.pointerStrength;
+  };
+
+  const update = (next: BeamsSceneOptions) => {
+    const prev = options;
+    options = next;
+
+    if (hasChanged(prev, next, GEOMETRY_KEYS)) {
+      mesh.geometry.dispose();
+      mesh.geometry = createGeometry();
+    } else if (hasChanged(prev, next, COLOR_KEYS)) {
+      const attribute = mesh.geometry.getAttribute(
+        "beamColor"
+      ) as THREE.BufferAttribute;
+      attribute.copyArray(createColors().array);
+      attribute.needsUpdate = true;
+    }
+
+    if (
+      prev.noiseType !== next.noiseType ||
+      prev.transparent !== next.transparent ||
+      prev.texture?.blend !== next.texture?.blend ||
+      !prev.mask !== !next.mask ||
+      prev.mask?.invert !== next.mask?.invert
+    ) {
+      replaceMaterial();
+    }
+    // 视频、画布等元素无法序列化比较，按引用判断贴图来源是否变化
+    textureMap.setSource(next.texture?.source ?? null);
+    maskMap.setMask(next.mask);
+
+    if (hasChanged(prev, next, ["shadows"])) {
+      applyShadows();
+      // 阴影类型属于着色器编译参数，需要重新编译
+      mesh.material.needsUpdate = true;
+      if (backdrop) backdrop.material.needsUpdate = true;
+    }
+
+    if (prev.cameraFov !== next.cameraFov) {
+      camera.fov = next.cameraFov;
+      camera.updateProjectionMatrix();
+    }
+    camera.position.z = next.cameraDistance;
+
+    updateBackground();
+    updateLights();
+    group.rotation.z = degToRad(next.rotation);
+    syncUniforms();
+  };
+
+  const setSize = (width: number, height: number) => {
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+  };
+
+  // 推进动画时钟（秒），同时让指针影响按 pointerDecay 逐渐逼近目标
+  const tick = (delta: number) => {
+    elapsed += delta * options.timeScale;
+
+    const target = options.pointerInteraction ? pointerTarget : 0;
+    pointerInfluence +=
+      (target - pointerInfluence) *
+      (1 - Math.exp(-options.pointerDecay * delta));
+
+    syncUniforms();
+    updateLightPositions();
+  };
+
+  const seek = (time: number) => {
+    elapsed = time;
+    syncUniforms();
+    updateLightPositions();
+  };
+
+  // x、y 为指针的标准化设备坐标（-1 ~ 1）
+  const setPointer = (x: number, y: number) => {
+    if (!options.pointerInteraction) return;
+    raycaster.setFromCamera(new THREE.Vector2(x, y), camera);
+    if (!raycaster.ray.intersectPlane(pointerPlane, pointerHit)) return;
+
+    mesh.worldToLocal(pointerHit);
+    mesh.material.uniforms.uPointer.value.set(pointerHit.x, pointerHit.y);
+    pointerTarget = 1;
+  };
+
+  const releasePointer = () => {
+    pointerTarget = 0;
+  };
+
+  // WebGL 上下文恢复后重建材质；几何体保留原有数据，由 three.js 重新上传，
+  // 未设置 seed 时也不会换成新的随机布局
+  const restore = () => {
+    replaceMaterial();
+    environmentMap.invalidate();
+    syncUniforms();
+  };
+
+  const dispose = () => {
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+    mesh.customDepthMaterial?.dispose();
+    disposeBackdrop();
+    lights.splice(0).forEach(removeLight);
+    environmentMap.dispose();
+    textureMap.dispose();
+    maskMap.dispose();
+  };
+
+  return {
+    scene,
+    camera,
+    mesh,
+    update,
+    setSize,
+    tick,
+    seek,
+    getTime: () => elapsed,
+    setPointer,
+    releasePointer,
+    restore,
+    dispose,
+  };
+}
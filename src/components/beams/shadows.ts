@@ -0,0 +1,70 @@
+import * as THREE from "three";
+
+export type BeamsShadowMapType = "basic" | "pcf" | "pcfsoft" | "vsm";
+
+export interface BeamsShadowBackdrop {
+  distance?: number; // 背板到光束平面的距离
+  color?: string; // 阴影颜色
+  opacity?: number; // 阴影不透明度
+}
+
+export interface BeamsShadows {
+  type?: BeamsShadowMapType; // 阴影贴图类型
+  mapSize?: number; // 阴影贴图分辨率
+  radius?: number; // 阴影边缘模糊半径（pcf / vsm 有效）
+  backdrop?: boolean | BeamsShadowBackdrop; // 光束后方只显示阴影的背板
+}
+
+export interface ResolvedShadows {
+  type: BeamsShadowMapType;
+  mapSize: number;
+  radius: number;
+  backdrop: Required<BeamsShadowBackdrop> | null;
+}
+
+export const SHADOW_MAP_TYPES: Record<BeamsShadowMapType, THREE.ShadowMapType> =
+  {
+    basic: THREE.BasicShadowMap,
+    pcf: THREE.PCFShadowMap,
+    pcfsoft: THREE.PCFSoftShadowMap,
+    vsm: THREE.VSMShadowMap,
+  };
+
+const BACKDROP_SIZE = 200;
+
+// true 使用默认阴影设置，backdrop 为 true 时使用默认背板
+export function resolveShadows(
+  value: boolean | BeamsShadows
+): ResolvedShadows | null {
+  if (!value) return null;
+  const {
+    type = "pcfsoft",
+    mapSize = 1024,
+    radius = 4,
+    backdrop = false,
+  } = value === true ? {} : value;
+
+  return {
+    type,
+    mapSize,
+    radius,
+    backdrop: backdrop
+      ? {
+          distance: 2,
+          color: "#000000",
+          opacity: 0.5,
+          ...(backdrop === true ? {} : backdrop),
+        }
+      : null,
+  };
+}
+
+// 只接收阴影、本身不可见的背板
+export function createShadowBackdrop() {
+  const backdrop = new THREE.Mesh(
+    new THREE.PlaneGeometry(BACKDROP_SIZE, BACKDROP_SIZE),
+    new THREE.ShadowMaterial()
+  );
+  backdrop.receiveShadow = true;
+  return backdrop;
+}
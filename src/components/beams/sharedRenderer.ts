@@ -0,0 +1,88 @@
+import * as THREE from "three";
+
+interface SharedRendererClient {
+  onContextLost: () => void;
+  onContextRestored: () => void;
+}
+
+export type SharedRenderer = ReturnType<typeof acquireSharedRenderer>;
+
+// 页面上所有 sharedRenderer 实例共用的 WebGL 上下文，随第一个实例创建、最后一个实例释放
+let renderer: THREE.WebGLRenderer | null = null;
+const clients = new Set<SharedRendererClient>();
+const size = new THREE.Vector2();
+
+const onContextLost = (event: Event) => {
+  event.preventDefault();
+  clients.forEach((client) => client.onContextLost());
+};
+
+const onContextRestored = () => {
+  clients.forEach((client) => client.onContextRestored());
+};
+
+const createRenderer = () => {
+  // 始终开启 alpha，透明与不透明实例可以共用同一个上下文
+  const next = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+  next.setPixelRatio(1);
+  next.setScissorTest(true);
+  next.domElement.addEventListener("webglcontextlost", onContextLost);
+  next.domElement.addEventListener("webglcontextrestored", onContextRestored);
+  return next;
+};
+
+const disposeRenderer = (target: THREE.WebGLRenderer) => {
+  target.domElement.removeEventListener("webglcontextlost", onContextLost);
+  target.domElement.removeEventListener(
+    "webglcontextrestored",
+    onContextRestored
+  );
+  target.dispose();
+  target.forceContextLoss();
+};
+
+// 创建失败（不支持 WebGL）时抛出异常，由调用方处理回退
+export function acquireSharedRenderer(client: SharedRendererClient) {
+  if (!renderer) renderer = createRenderer();
+  const target = renderer;
+  clients.add(client);
+
+  // 在共享画布左下角的视口中由 draw 完成渲染，再拷贝到实例自己的 2D 画布
+  const render = (
+    context: CanvasRenderingContext2D,
+    draw: () => void
+  ) => {
+    const { width, height } = context.canvas;
+    if (!width || !height) return;
+
+    target.getSize(size);
+    if (size.x < width || size.y < height) {
+      target.setSize(Math.max(size.x, width), Math.max(size.y, height), false);
+    }
+    target.setViewport(0, 0, width, height);
+    target.setScissor(0, 0, width, height);
+    draw();
+
+    const source = target.domElement;
+    context.clearRect(0, 0, width, height);
+    context.drawImage(
+      source,
+      0,
+      source.height - height,
+      width,
+      height,
+      0,
+      0,
+      width,
+      height
+    );
+  };
+
+  const release = () => {
+    if (!clients.delete(client) || clients.size) return;
+    disposeRenderer(target);
+    if (renderer === target) renderer = null;
+  };
+
+  return { renderer: target, render, release };
+}
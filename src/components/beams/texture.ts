@@ -0,0 +1,143 @@
+import * as THREE from "three";
+import { loadTexture } from "./loaders";
+
+// Worker 中只能使用图片 URL，视频与画布元素只在主线程渲染时可用
+export type BeamsTextureSource =
+  | string
+  | HTMLImageElement
+  | HTMLVideoElement
+  | HTMLCanvasElement;
+
+export type BeamsTextureBlend =
+  | "multiply"
+  | "add"
+  | "screen"
+  | "overlay"
+  | "replace";
+
+export interface BeamsTextureOptions {
+  source: BeamsTextureSource;
+  blend?: BeamsTextureBlend; // 贴图与光照颜色的混合方式
+  opacity?: number; // 混合强度（0~1）
+  repeat?: [number, number]; // 每条光束上贴图沿横向、纵向的重复次数
+}
+
+export type BeamsTexture = BeamsTextureSource | BeamsTextureOptions;
+
+export type ResolvedTexture = Required<BeamsTextureOptions>;
+
+export type BeamsTextureMap = ReturnType<typeof createBeamsTextureMap>;
+
+// 作为着色器中 BEAMS_TEXTURE_BLEND 的取值
+export const TEXTURE_BLEND_MODES: Record<BeamsTextureBlend, number> = {
+  multiply: 0,
+  add: 1,
+  screen: 2,
+  overlay: 3,
+  replace: 4,
+};
+
+export function resolveTexture(
+  value: BeamsTexture | undefined
+): ResolvedTexture | null {
+  if (!value) return null;
+  const options: BeamsTextureOptions =
+    typeof value === "string" || !("source" in value)
+      ? { source: value }
+      : value;
+
+  return {
+    source: options.source,
+    blend: options.blend ?? "multiply",
+    opacity: options.opacity ?? 1,
+    repeat: [...(options.repeat ?? [1, 1])],
+  };
+}
+
+// 图片元素尚未解码时，等 load 后再上传并通知重绘
+const createElementTexture = (
+  source: Exclude<BeamsTextureSource, string>,
+  onLoad: () => void
+) => {
+  if (source instanceof HTMLVideoElement) return new THREE.VideoTexture(source);
+  if (source instanceof HTMLCanvasElement) {
+    return new THREE.CanvasTexture(source);
+  }
+
+  const texture = new THREE.Texture(source);
+  if (source.complete) {
+    texture.needsUpdate = true;
+  } else {
+    source.addEventListener(
+      "load",
+      () => {
+        texture.needsUpdate = true;
+        onLoad();
+      },
+      { once: true }
+    );
+  }
+  return texture;
+};
+
+// 管理光束贴图的加载与刷新，URL 加载完成后调用 onLoad
+export function createBeamsTextureMap(onLoad: () => void) {
+  let source: BeamsTextureSource | null = null;
+  let texture: THREE.Texture | null = null;
+  let request = 0;
+
+  const prepare = (next: THREE.Texture) => {
+    next.wrapS = THREE.RepeatWrapping;
+    next.wrapT = THREE.RepeatWrapping;
+    next.colorSpace = THREE.SRGBColorSpace;
+    return next;
+  };
+
+  const release = () => {
+    texture?.dispose();
+    texture = null;
+    request++;
+  };
+
+  const setSource = (next: BeamsTextureSource | null) => {
+    if (next === source) return;
+    release();
+    source = next;
+    if (next === null) return;
+
+    if (typeof next !== "string") {
+      texture = prepare(createElementTexture(next, onLoad));
+      return;
+    }
+
+    const id = request;
+    loadTexture(next).then(
+      (loaded) => {
+        if (id !== request) {
+          loaded.dispose();
+          return;
+        }
+        texture = prepare(loaded);
+        onLoad();
+      },
+      (error) => {
+        if (id === request) {
+          console.warn(`[Beams] Failed to load texture "${next}"`, error);
+        }
+      }
+    );
+  };
+
+  // 画布内容无法感知变化，每次渲染前都重新上传；视频由 VideoTexture 按帧更新
+  const get = () => {
+    if (texture instanceof THREE.CanvasTexture) texture.needsUpdate = true;
+    return texture;
+  };
+
+  const dispose = () => {
+    release();
+    source = null;
+  };
+
+  return { setSource, get, dispose };
+}
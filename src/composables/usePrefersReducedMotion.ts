@@ -0,0 +1,22 @@
+import { onScopeDispose, ref } from "vue";
+
+const QUERY = "(prefers-reduced-motion: reduce)";
+
+// 响应式地读取系统「减少动态效果」设置，媒体查询变化时实时更新
+export function usePrefersReducedMotion() {
+  const mediaQuery =
+    typeof window !== "undefined" && window.matchMedia
+      ? window.matchMedia(QUERY)
+      : null;
+  const prefersReducedMotion = ref(mediaQuery?.matches ?? false);
+
+  if (mediaQuery) {
+    const onChange = (event: MediaQueryListEvent) => {
+      prefersReducedMotion.value = event.matches;
+    };
+    mediaQuery.addEventListener("change", onChange);
+    onScopeDispose(() => mediaQuery.removeEventListener("change", onChange));
+  }
+
+  return prefersReducedMotion;
+}